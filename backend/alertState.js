@@ -0,0 +1,102 @@
+// Per-device memory of which hazards have already been alerted on, so the
+// periodic location updates don't warn about the same hazard again and
+// again. A device is warned again only when it crosses into a closer
+// distance band or the hazard's severity changes. It can also acknowledge
+// a hazard (quiet until its severity changes) or snooze one hazard, or all
+// of its alerts, for a while.
+//
+// Bands are distance-ahead thresholds in km, e.g. ALERT_DISTANCE_BANDS_KM=2,1,0.5,0.2
+const DISTANCE_BANDS_KM = (process.env.ALERT_DISTANCE_BANDS_KM || '2,1,0.5,0.2')
+  .split(',')
+  .map(Number)
+  .filter(km => km > 0)
+  .sort((a, b) => b - a);
+
+// State for devices that have been gone this long is dropped
+const STATE_TTL_MS = 30 * 60 * 1000;
+
+// 0 beyond the widest band, one more for every band the distance is within
+function bandFor(distanceKm) {
+  return DISTANCE_BANDS_KM.filter(km => distanceKm <= km).length;
+}
+
+class AlertTracker {
+  constructor() {
+    // deviceId -> { hazards: Map<hazardId, entry>, snoozedUntil, seenAt }
+    this.devices = new Map();
+  }
+
+  device(deviceId, now) {
+    let state = this.devices.get(deviceId);
+    if (!state) {
+      state = { hazards: new Map(), snoozedUntil: 0, seenAt: now };
+      this.devices.set(deviceId, state);
+    }
+    state.seenAt = now;
+    return state;
+  }
+
+  // Decide whether the device should be alerted about a hazard it is
+  // `distanceAhead` km from. Returns 'new', 'closer' or 'severity' (and
+  // records the alert), or null to stay quiet.
+  check(deviceId, hazard, distanceAhead, now = Date.now()) {
+    const state = this.device(deviceId, now);
+    const entry = state.hazards.get(hazard.id);
+    const band = bandFor(distanceAhead);
+
+    let reason = null;
+    if (!entry) {
+      reason = 'new';
+    } else if (entry.severity !== hazard.severity) {
+      reason = 'severity';
+    } else if (!entry.acknowledged && band > entry.band) {
+      reason = 'closer';
+    }
+    if (!reason) return null;
+
+    // A severity change is worth breaking a snooze for
+    const snoozed = now < state.snoozedUntil || (entry && now < entry.snoozedUntil);
+    if (snoozed && reason !== 'severity') return null;
+
+    state.hazards.set(hazard.id, {
+      band: entry && reason !== 'severity' ? Math.max(entry.band, band) : band,
+      severity: hazard.severity,
+      acknowledged: false,
+      snoozedUntil: entry ? entry.snoozedUntil : 0
+    });
+    return reason;
+  }
+
+  // Stop alerting on a hazard until its severity changes
+  acknowledge(deviceId, hazard, now = Date.now()) {
+    const state = this.device(deviceId, now);
+    const entry = state.hazards.get(hazard.id) || { band: 0, snoozedUntil: 0 };
+    state.hazards.set(hazard.id, { ...entry, severity: hazard.severity, acknowledged: true });
+  }
+
+  // Silence one hazard, or every alert when hazard is null, until `until`
+  snooze(deviceId, hazard, until, now = Date.now()) {
+    const state = this.device(deviceId, now);
+    if (!hazard) {
+      state.snoozedUntil = until;
+      return;
+    }
+    const entry = state.hazards.get(hazard.id) || { band: 0, severity: hazard.severity, acknowledged: false };
+    state.hazards.set(hazard.id, { ...entry, snoozedUntil: until });
+  }
+
+  // A hazard left the road; if it comes back everyone hears about it again
+  forgetHazard(hazardId) {
+    this.devices.forEach(state => state.hazards.delete(hazardId));
+  }
+
+  prune(isConnected, now = Date.now()) {
+    this.devices.forEach((state, deviceId) => {
+      if (!isConnected(deviceId) && now - state.seenAt > STATE_TTL_MS) {
+        this.devices.delete(deviceId);
+      }
+    });
+  }
+}
+
+module.exports = { AlertTracker, DISTANCE_BANDS_KM, bandFor };
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlertTracker, DISTANCE_BANDS_KM, bandFor } = require('./alertState');
+
+const MINUTE = 60 * 1000;
+const pothole = (severity = 'medium') => ({ id: 1, type: 'pothole', severity });
+
+test('distances fall into the default bands', () => {
+  assert.deepEqual(DISTANCE_BANDS_KM, [2, 1, 0.5, 0.2]);
+  assert.equal(bandFor(3), 0);
+  assert.equal(bandFor(2), 1);
+  assert.equal(bandFor(1.5), 1);
+  assert.equal(bandFor(0.8), 2);
+  assert.equal(bandFor(0.5), 3);
+  assert.equal(bandFor(0.1), 4);
+});
+
+test('a hazard is alerted once per band as it gets closer', () => {
+  const tracker = new AlertTracker();
+  const hazard = pothole();
+
+  assert.equal(tracker.check('dev', hazard, 1.8, 0), 'new');
+  assert.equal(tracker.check('dev', hazard, 1.5, 1000), null);
+  assert.equal(tracker.check('dev', hazard, 0.9, 2000), 'closer');
+  assert.equal(tracker.check('dev', hazard, 0.7, 3000), null);
+  assert.equal(tracker.check('dev', hazard, 0.15, 4000), 'closer');
+
+  // Falling back a band and closing in again is not news
+  assert.equal(tracker.check('dev', hazard, 0.6, 5000), null);
+  assert.equal(tracker.check('dev', hazard, 0.4, 6000), null);
+});
+
+test('devices are tracked separately', () => {
+  const tracker = new AlertTracker();
+  assert.equal(tracker.check('a', pothole(), 1, 0), 'new');
+  assert.equal(tracker.check('b', pothole(), 1, 0), 'new');
+  assert.equal(tracker.check('a', pothole(), 1, 0), null);
+});
+
+test('a rise in severity is alerted again, even in the same band', () => {
+  const tracker = new AlertTracker();
+
+  assert.equal(tracker.check('dev', pothole('low'), 0.9, 0), 'new');
+  assert.equal(tracker.check('dev', pothole('high'), 0.9, 1000), 'severity');
+  assert.equal(tracker.check('dev', pothole('high'), 0.9, 2000), null);
+  assert.equal(tracker.check('dev', pothole('high'), 0.15, 3000), 'closer');
+});
+
+test('an acknowledged hazard stays quiet until its severity changes', () => {
+  const tracker = new AlertTracker();
+
+  tracker.check('dev', pothole(), 1.8, 0);
+  tracker.acknowledge('dev', pothole(), 1000);
+  assert.equal(tracker.check('dev', pothole(), 0.9, 2000), null);
+  assert.equal(tracker.check('dev', pothole(), 0.1, 60 * MINUTE), null);
+
+  assert.equal(tracker.check('dev', pothole('high'), 0.1, 61 * MINUTE), 'severity');
+  assert.equal(tracker.check('dev', pothole('high'), 0.1, 62 * MINUTE), null);
+  // A drop in severity counts as a change too
+  tracker.acknowledge('dev', pothole('high'), 63 * MINUTE);
+  assert.equal(tracker.check('dev', pothole('low'), 0.1, 64 * MINUTE), 'severity');
+});
+
+test('acknowledging a hazard before its first alert silences it', () => {
+  const tracker = new AlertTracker();
+  tracker.acknowledge('dev', pothole(), 0);
+  assert.equal(tracker.check('dev', pothole(), 0.5, 1000), null);
+});
+
+test('a snoozed hazard is alerted again once the snooze is over', () => {
+  const tracker = new AlertTracker();
+
+  assert.equal(tracker.check('dev', pothole(), 1.8, 0), 'new');
+  tracker.snooze('dev', pothole(), 10 * MINUTE, 0);
+  assert.equal(tracker.check('dev', pothole(), 0.9, 5 * MINUTE), null);
+  assert.equal(tracker.check('dev', pothole(), 0.9, 10 * MINUTE), 'closer');
+  assert.equal(tracker.check('dev', pothole(), 0.9, 11 * MINUTE), null);
+});
+
+test('snoozing everything holds back new hazards until it runs out', () => {
+  const tracker = new AlertTracker();
+
+  tracker.snooze('dev', null, 10 * MINUTE, 0);
+  assert.equal(tracker.check('dev', pothole(), 0.9, MINUTE), null);
+  assert.equal(tracker.check('dev', { ...pothole(), id: 2 }, 0.9, 2 * MINUTE), null);
+
+  assert.equal(tracker.check('dev', pothole(), 0.9, 10 * MINUTE), 'new');
+  assert.equal(tracker.check('dev', { ...pothole(), id: 2 }, 0.9, 10 * MINUTE), 'new');
+});
+
+test('a severity change breaks through a snooze', () => {
+  const tracker = new AlertTracker();
+
+  tracker.check('dev', pothole('low'), 0.9, 0);
+  tracker.snooze('dev', pothole('low'), 10 * MINUTE, 0);
+  assert.equal(tracker.check('dev', pothole('high'), 0.9, MINUTE), 'severity');
+  // ...without ending the snooze for anything else
+  assert.equal(tracker.check('dev', pothole('high'), 0.1, 2 * MINUTE), null);
+  assert.equal(tracker.check('dev', pothole('high'), 0.1, 10 * MINUTE), 'closer');
+});
+
+test('forgotten hazards and pruned devices start over', () => {
+  const tracker = new AlertTracker();
+
+  tracker.check('dev', pothole(), 0.9, 0);
+  tracker.forgetHazard(1);
+  assert.equal(tracker.check('dev', pothole(), 0.9, 1000), 'new');
+
+  tracker.prune(() => true, 60 * MINUTE);
+  assert.equal(tracker.check('dev', pothole(), 0.9, 60 * MINUTE), null);
+
+  tracker.prune(() => false, 120 * MINUTE);
+  assert.equal(tracker.devices.size, 0);
+  assert.equal(tracker.check('dev', pothole(), 0.9, 120 * MINUTE), 'new');
+});
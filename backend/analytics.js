@@ -0,0 +1,173 @@
+const { geohash, geohashBounds } = require('./geo');
+const { STATUS, isOpen } = require('./hazardLifecycle');
+
+// Historical aggregates over stored hazards. Every function takes an
+// iterable of hazards (already filtered) and makes a single pass over it.
+
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+// Keeps gap-filled trend series to a sensible size
+const MAX_BUCKETS = 2000;
+
+// Start of the UTC hour / day / week (from Monday) / month holding `date`
+function bucketStart(date, interval) {
+  const start = new Date(date);
+  if (interval === 'hour') {
+    start.setUTCMinutes(0, 0, 0);
+  } else {
+    start.setUTCHours(0, 0, 0, 0);
+    if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    if (interval === 'month') start.setUTCDate(1);
+  }
+  return start;
+}
+
+function nextBucket(start, interval) {
+  const next = new Date(start);
+  if (interval === 'hour') next.setUTCHours(next.getUTCHours() + 1);
+  if (interval === 'day') next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+// Reported hazards per interval, by type and severity. Empty intervals
+// between `from` (or the first report) and `to` (or the last) are filled
+// in with zeros. Returns null when that would be more than MAX_BUCKETS.
+function trends(hazards, { interval = 'day', from, to }) {
+  const buckets = new Map();
+  let first = from ? bucketStart(from, interval) : null;
+  let last = to ? bucketStart(to, interval) : null;
+
+  for (const hazard of hazards) {
+    const start = bucketStart(hazard.timestamp, interval);
+    const key = start.getTime();
+    if (!buckets.has(key)) buckets.set(key, { total: 0, byType: {}, bySeverity: {} });
+
+    const bucket = buckets.get(key);
+    bucket.total++;
+    increment(bucket.byType, hazard.type);
+    increment(bucket.bySeverity, hazard.severity);
+
+    if (!from && (!first || start < first)) first = start;
+    if (!to && (!last || start > last)) last = start;
+  }
+
+  const series = [];
+  for (let start = first; start && start <= last; start = nextBucket(start, interval)) {
+    if (series.length === MAX_BUCKETS) return null;
+    const bucket = buckets.get(start.getTime()) || { total: 0, byType: {}, bySeverity: {} };
+    series.push({ start, ...bucket });
+  }
+  return series;
+}
+
+// Geohash cells with the most hazards. `reports` also counts the duplicate
+// reports merged into them, so a cell that keeps getting reported ranks
+// above one with a single old hazard.
+function hotspots(hazards, { precision = 6, limit = 50 }) {
+  const cells = new Map();
+
+  for (const hazard of hazards) {
+    const hash = geohash(hazard.latitude, hazard.longitude, precision);
+    if (!cells.has(hash)) cells.set(hash, { hazards: 0, reports: 0, open: 0, byType: {} });
+
+    const cell = cells.get(hash);
+    cell.hazards++;
+    cell.reports += hazard.reportCount || 1;
+    if (isOpen(hazard)) cell.open++;
+    increment(cell.byType, hazard.type);
+  }
+
+  return [...cells.entries()]
+    .sort(([hashA, a], [hashB, b]) => b.hazards - a.hazards || b.reports - a.reports || (hashA < hashB ? -1 : 1))
+    .slice(0, limit)
+    .map(([hash, cell]) => {
+      const bounds = geohashBounds(hash);
+      return {
+        geohash: hash,
+        latitude: (bounds[1] + bounds[3]) / 2,
+        longitude: (bounds[0] + bounds[2]) / 2,
+        bounds,
+        ...cell
+      };
+    });
+}
+
+function durationStats(durations) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  return {
+    resolved: sorted.length,
+    meanSeconds: Math.round(mean),
+    medianSeconds: Math.round(median)
+  };
+}
+
+// Time from report to resolution for resolved hazards, overall, per type
+// and per geohash cell of `precision` characters
+function resolutionTimes(hazards, { precision = 5 }) {
+  const overall = [];
+  const byType = new Map();
+  const byArea = new Map();
+
+  for (const hazard of hazards) {
+    if (hazard.status !== STATUS.RESOLVED || !hazard.resolvedAt) continue;
+    const seconds = (new Date(hazard.resolvedAt) - new Date(hazard.timestamp)) / 1000;
+    const area = geohash(hazard.latitude, hazard.longitude, precision);
+
+    overall.push(seconds);
+    if (!byType.has(hazard.type)) byType.set(hazard.type, []);
+    byType.get(hazard.type).push(seconds);
+    if (!byArea.has(area)) byArea.set(area, []);
+    byArea.get(area).push(seconds);
+  }
+
+  return {
+    overall: overall.length ? durationStats(overall) : { resolved: 0, meanSeconds: null, medianSeconds: null },
+    byType: [...byType.entries()]
+      .map(([type, durations]) => ({ type, ...durationStats(durations) }))
+      .sort((a, b) => b.resolved - a.resolved),
+    byArea: [...byArea.entries()]
+      .map(([area, durations]) => ({ geohash: area, bounds: geohashBounds(area), ...durationStats(durations) }))
+      .sort((a, b) => b.resolved - a.resolved)
+  };
+}
+
+// What each reporter (device or bulk import source) contributed: hazards
+// they reported first, reports they backed up, how their own reports
+// fared and hazards they resolved
+function reporterStats(hazards, { limit = 50 }) {
+  const reporters = new Map();
+  const statsFor = (reporter) => {
+    if (!reporters.has(reporter)) {
+      reporters.set(reporter, { reporter, reported: 0, corroborated: 0, confirmed: 0, disputed: 0, resolved: 0 });
+    }
+    return reporters.get(reporter);
+  };
+
+  for (const hazard of hazards) {
+    if (hazard.reportedBy) {
+      const stats = statsFor(hazard.reportedBy);
+      const statuses = (hazard.transitions || []).map(t => t.to);
+      stats.reported++;
+      if (statuses.includes(STATUS.CONFIRMED)) stats.confirmed++;
+      if (statuses.includes(STATUS.DISPUTED)) stats.disputed++;
+    }
+    (hazard.reporters || [])
+      .filter(reporter => reporter !== hazard.reportedBy)
+      .forEach(reporter => statsFor(reporter).corroborated++);
+    if (hazard.resolvedBy) statsFor(hazard.resolvedBy).resolved++;
+  }
+
+  const ranked = [...reporters.values()]
+    .sort((a, b) => (b.reported + b.corroborated) - (a.reported + a.corroborated) || (a.reporter < b.reporter ? -1 : 1));
+  return { reporters: ranked.slice(0, limit), total: ranked.length };
+}
+
+module.exports = { INTERVALS, MAX_BUCKETS, trends, hotspots, resolutionTimes, reporterStats };
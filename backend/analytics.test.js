@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { geohash } = require('./geo');
+const { trends, hotspots, resolutionTimes, reporterStats, MAX_BUCKETS } = require('./analytics');
+
+const hazard = (timestamp, fields = {}) => ({
+  type: 'pothole',
+  severity: 'medium',
+  status: 'reported',
+  latitude: 52.517,
+  longitude: 13.405,
+  timestamp: new Date(timestamp),
+  ...fields
+});
+
+const starts = series => series.map(bucket => bucket.start.toISOString());
+const totals = series => series.map(bucket => bucket.total);
+
+test('trends fill the days between reports with zeros', () => {
+  const series = trends([
+    hazard('2026-03-02T08:00:00Z'),
+    hazard('2026-03-02T23:59:59Z', { type: 'debris', severity: 'high' }),
+    hazard('2026-03-05T00:00:00Z')
+  ], { interval: 'day' });
+
+  assert.deepEqual(starts(series), [
+    '2026-03-02T00:00:00.000Z',
+    '2026-03-03T00:00:00.000Z',
+    '2026-03-04T00:00:00.000Z',
+    '2026-03-05T00:00:00.000Z'
+  ]);
+  assert.deepEqual(totals(series), [2, 0, 0, 1]);
+  assert.deepEqual(series[0].byType, { pothole: 1, debris: 1 });
+  assert.deepEqual(series[0].bySeverity, { medium: 1, high: 1 });
+  assert.deepEqual(series[1], { start: new Date('2026-03-03T00:00:00Z'), total: 0, byType: {}, bySeverity: {} });
+});
+
+test('trends span from and to even where nothing was reported', () => {
+  const series = trends([hazard('2026-03-03T12:00:00Z')], {
+    interval: 'day',
+    from: new Date('2026-03-01T18:00:00Z'),
+    to: new Date('2026-03-04T06:00:00Z')
+  });
+
+  assert.equal(series[0].start.toISOString(), '2026-03-01T00:00:00.000Z');
+  assert.deepEqual(totals(series), [0, 0, 1, 0]);
+});
+
+test('trends with nothing to count', () => {
+  assert.deepEqual(trends([], { interval: 'day' }), []);
+
+  const empty = trends([], { interval: 'hour', from: new Date('2026-03-01T10:30:00Z'), to: new Date('2026-03-01T12:10:00Z') });
+  assert.deepEqual(totals(empty), [0, 0, 0]);
+});
+
+test('weeks start on Monday and months on the 1st, in UTC', () => {
+  // Sunday 8 March and Monday 9 March 2026
+  const weekly = trends([hazard('2026-03-08T23:00:00Z'), hazard('2026-03-09T00:00:00Z')], { interval: 'week' });
+  assert.deepEqual(starts(weekly), ['2026-03-02T00:00:00.000Z', '2026-03-09T00:00:00.000Z']);
+
+  const monthly = trends([hazard('2026-01-31T23:59:00Z'), hazard('2026-04-01T00:00:00Z')], { interval: 'month' });
+  assert.deepEqual(starts(monthly), [
+    '2026-01-01T00:00:00.000Z',
+    '2026-02-01T00:00:00.000Z',
+    '2026-03-01T00:00:00.000Z',
+    '2026-04-01T00:00:00.000Z'
+  ]);
+  assert.deepEqual(totals(monthly), [1, 0, 0, 1]);
+});
+
+test('trends refuse series longer than MAX_BUCKETS', () => {
+  const from = new Date('2026-01-01T00:00:00Z');
+  const within = trends([], { interval: 'hour', from, to: new Date(from.getTime() + (MAX_BUCKETS - 1) * 3600 * 1000) });
+  assert.equal(within.length, MAX_BUCKETS);
+
+  assert.equal(trends([], { interval: 'hour', from, to: new Date(from.getTime() + MAX_BUCKETS * 3600 * 1000) }), null);
+});
+
+test('geohashes match the reference encoding', () => {
+  assert.equal(geohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+  assert.equal(geohash(52.517, 13.405, 6), 'u33dc0');
+});
+
+test('hotspots bucket hazards by geohash cell', () => {
+  const cells = hotspots([
+    hazard('2026-03-01', { latitude: 52.517, longitude: 13.405 }),
+    hazard('2026-03-02', { latitude: 52.516, longitude: 13.41, status: 'resolved', type: 'debris' }),
+    hazard('2026-03-03', { latitude: 52.519, longitude: 13.401, reportCount: 5 })
+  ], { precision: 6 });
+
+  assert.deepEqual(cells.map(cell => [cell.geohash, cell.hazards, cell.reports, cell.open]), [
+    ['u33dc0', 2, 2, 1],
+    ['u33dbb', 1, 5, 1]
+  ]);
+  assert.deepEqual(cells[0].byType, { pothole: 1, debris: 1 });
+
+  // Reported as the cell's box and its centre
+  const [minLng, minLat, maxLng, maxLat] = cells[0].bounds;
+  assert.ok(minLat <= 52.516 && maxLat >= 52.517 && minLng <= 13.405 && maxLng >= 13.41);
+  assert.equal(cells[0].latitude, (minLat + maxLat) / 2);
+  assert.equal(cells[0].longitude, (minLng + maxLng) / 2);
+});
+
+test('coarser hotspots merge neighbouring cells and respect the limit', () => {
+  const hazards = [
+    hazard('2026-03-01', { latitude: 52.517, longitude: 13.405 }),
+    hazard('2026-03-02', { latitude: 52.519, longitude: 13.401 }),
+    hazard('2026-03-03', { latitude: 48.137, longitude: 11.575 })
+  ];
+
+  const coarse = hotspots(hazards, { precision: 4 });
+  assert.deepEqual(coarse.map(cell => [cell.geohash, cell.hazards]), [['u33d', 2], ['u281', 1]]);
+  assert.equal(hotspots(hazards, { precision: 4, limit: 1 }).length, 1);
+  assert.deepEqual(hotspots([], {}), []);
+});
+
+const resolved = (hours, fields = {}) => hazard('2026-03-01T00:00:00Z', {
+  status: 'resolved',
+  resolvedAt: new Date(Date.UTC(2026, 2, 1, hours)),
+  ...fields
+});
+
+test('resolution times take the middle value of an odd count', () => {
+  const { overall } = resolutionTimes([resolved(1), resolved(10), resolved(3)], {});
+  assert.deepEqual(overall, { resolved: 3, meanSeconds: 14 * 3600 / 3, medianSeconds: 3 * 3600 });
+});
+
+test('resolution times average the two middle values of an even count', () => {
+  const { overall, byType } = resolutionTimes([
+    resolved(1), resolved(2), resolved(5), resolved(24, { type: 'debris' })
+  ], {});
+
+  assert.deepEqual(overall, { resolved: 4, meanSeconds: 8 * 3600, medianSeconds: 3.5 * 3600 });
+  assert.deepEqual(byType, [
+    { type: 'pothole', resolved: 3, meanSeconds: 8 * 3600 / 3, medianSeconds: 2 * 3600 },
+    { type: 'debris', resolved: 1, meanSeconds: 24 * 3600, medianSeconds: 24 * 3600 }
+  ]);
+});
+
+test('resolution times skip hazards that are not resolved', () => {
+  const result = resolutionTimes([hazard('2026-03-01'), hazard('2026-03-01', { status: 'resolved' })], {});
+  assert.deepEqual(result, {
+    overall: { resolved: 0, meanSeconds: null, medianSeconds: null },
+    byType: [],
+    byArea: []
+  });
+});
+
+test('resolution times per area use the geohash cell', () => {
+  const { byArea } = resolutionTimes([
+    resolved(2),
+    resolved(4, { latitude: 48.137, longitude: 11.575 }),
+    resolved(6, { latitude: 48.137, longitude: 11.575 })
+  ], { precision: 4 });
+
+  assert.deepEqual(byArea.map(({ geohash: cell, resolved: count, medianSeconds }) => [cell, count, medianSeconds]), [
+    ['u281', 2, 5 * 3600],
+    ['u33d', 1, 2 * 3600]
+  ]);
+});
+
+test('reporter stats credit first reports, backups and resolves', () => {
+  const { reporters, total } = reporterStats([
+    hazard('2026-03-01', {
+      reportedBy: 'dev_a',
+      reporters: ['dev_a', 'dev_b'],
+      transitions: [{ to: 'reported' }, { to: 'confirmed' }],
+      resolvedBy: 'dev_c'
+    }),
+    hazard('2026-03-02', { reportedBy: 'dev_b', reporters: ['dev_b'], transitions: [{ to: 'disputed' }] })
+  ], { limit: 2 });
+
+  assert.equal(total, 3);
+  assert.deepEqual(reporters, [
+    { reporter: 'dev_b', reported: 1, corroborated: 1, confirmed: 0, disputed: 1, resolved: 0 },
+    { reporter: 'dev_a', reported: 1, corroborated: 0, confirmed: 1, disputed: 0, resolved: 0 }
+  ]);
+});
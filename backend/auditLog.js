@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+const AUDIT_ACTIONS = [
+  'hazard.edit', 'hazard.resolve', 'hazard.reopen', 'hazard.delete', 'hazard.hide_images',
+  'device.block', 'device.unblock'
+];
+
+// Append-only record of admin actions: who did what to which hazard or
+// device, why, and the fields before and after
+function createAuditLog(auditStore) {
+  function record({ actor, action, targetType, targetId, reason, before = null, after = null }) {
+    const entry = auditStore.insert({
+      id: `aud_${crypto.randomBytes(8).toString('hex')}`,
+      actor,
+      action,
+      targetType,
+      targetId,
+      reason: reason || null,
+      before,
+      after,
+      at: new Date()
+    });
+    console.log(`🛡️  ${actor}: ${action} ${targetType} ${targetId}${entry.reason ? ` (${entry.reason})` : ''}`);
+    return entry;
+  }
+
+  // Newest first, optionally for one action or target
+  function list({ action, targetType, targetId, limit = 100 }) {
+    const entries = auditStore
+      .find(entry => (!action || entry.action === action) &&
+        (!targetType || entry.targetType === targetType) &&
+        (!targetId || String(entry.targetId) === targetId))
+      .sort((a, b) => new Date(b.at) - new Date(a.at));
+    return { entries: entries.slice(0, limit), total: entries.length };
+  }
+
+  return { record, list };
+}
+
+module.exports = { AUDIT_ACTIONS, createAuditLog };
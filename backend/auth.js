@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+
+// Device tokens are `<payload>.<signature>`, where the payload is the
+// base64url JSON { sub: deviceId, iat } and the signature its HMAC-SHA256.
+let TOKEN_SECRET = process.env.DEVICE_TOKEN_SECRET;
+if (!TOKEN_SECRET) {
+  TOKEN_SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️  DEVICE_TOKEN_SECRET not set - device tokens will not survive a restart');
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+function issueToken(deviceId) {
+  const payload = Buffer.from(JSON.stringify({ sub: deviceId, iat: Date.now() })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the device id the token was issued to, or null
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { sub } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return typeof sub === 'string' ? sub : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' ? token : null;
+}
+
+// Express middleware: only registered devices that haven't been blocked by
+// a moderator get through. Sets req.deviceId.
+function requireDevice(deviceStore) {
+  return (req, res, next) => {
+    const token = bearerToken(req);
+    if (!token) {
+      return sendError(res, 401, 'MISSING_TOKEN', 'Register this device and send its token as a Bearer token');
+    }
+
+    const deviceId = verifyToken(token);
+    const device = deviceId && deviceStore.findById(deviceId);
+    if (!device) {
+      return sendError(res, 401, 'INVALID_TOKEN', 'Device token is invalid or unknown');
+    }
+    if (device.blocked) {
+      return sendError(res, 403, 'DEVICE_BLOCKED', 'This device has been blocked');
+    }
+
+    req.deviceId = deviceId;
+    next();
+  };
+}
+
+// Socket.IO middleware: the handshake must carry { auth: { token } }
+function authenticateSocket(deviceStore) {
+  return (socket, next) => {
+    const deviceId = verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+    const device = deviceId && deviceStore.findById(deviceId);
+    if (!device) {
+      return next(new Error('INVALID_TOKEN'));
+    }
+    if (device.blocked) {
+      return next(new Error('DEVICE_BLOCKED'));
+    }
+
+    socket.data.deviceId = deviceId;
+    next();
+  };
+}
+
+// Admin endpoints take ADMIN_API_KEY in an X-Admin-Key header. Without the
+// variable set they are switched off. An optional X-Admin-User header names
+// the person acting, for the audit log (req.adminUser).
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return sendError(res, 503, 'ADMIN_DISABLED', 'Admin endpoints are disabled until ADMIN_API_KEY is set');
+  }
+
+  const expected = Buffer.from(ADMIN_API_KEY);
+  const actual = Buffer.from(req.get('x-admin-key') || '');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return sendError(res, 401, 'INVALID_ADMIN_KEY', 'Missing or invalid admin key');
+  }
+  const name = (req.get('x-admin-user') || '').trim().slice(0, 64);
+  req.adminUser = name ? `admin:${name}` : 'admin';
+  next();
+}
+
+module.exports = { issueToken, verifyToken, requireDevice, requireAdmin, authenticateSocket };
@@ -0,0 +1,208 @@
+const { EARTH_RADIUS_KM, calculateDistance } = require('./geo');
+
+// Route-aware alerting. A moving device is only warned about hazards in a
+// narrow corridor ahead of it: along its planned route when it sent one,
+// otherwise along its heading. The corridor grows with speed so a warning
+// arrives roughly ALERT_LEAD_TIME_SECONDS before the hazard is reached.
+// Devices that are parked or don't report a heading keep the plain circle.
+const ALERT_RADIUS_KM = 1;
+const LEAD_TIME_SECONDS = Number(process.env.ALERT_LEAD_TIME_SECONDS) || 60;
+const MIN_LOOKAHEAD_KM = Number(process.env.ALERT_MIN_LOOKAHEAD_KM) || 0.3;
+const MAX_LOOKAHEAD_KM = Number(process.env.ALERT_MAX_LOOKAHEAD_KM) || 5;
+const CORRIDOR_HALF_WIDTH_KM = Number(process.env.ALERT_CORRIDOR_HALF_WIDTH_KM) || 0.05;
+// A device further than this from its planned route has left it
+const OFF_ROUTE_KM = 0.2;
+// Below this speed (m/s) GPS headings are noise
+const MIN_MOVING_SPEED = 1;
+// Movement needed before a heading is derived from two fixes
+const MIN_TRACK_DISTANCE_KM = 0.02;
+
+// Furthest any corridor reaches, for candidate lookups in a spatial index
+const MAX_REACH_KM = Math.max(ALERT_RADIUS_KM, MAX_LOOKAHEAD_KM + CORRIDOR_HALF_WIDTH_KM);
+
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+const toRad = deg => deg * Math.PI / 180;
+const toDeg = rad => rad * 180 / Math.PI;
+
+// Initial compass bearing from one point to another, 0-360
+function bearing(lat1, lng1, lat2, lng2) {
+  const rLat1 = toRad(lat1);
+  const rLat2 = toRad(lat2);
+  const dLng = toRad(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(rLat2);
+  const x = Math.cos(rLat1) * Math.sin(rLat2) - Math.sin(rLat1) * Math.cos(rLat2) * Math.cos(dLng);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+function isMoving(speed) {
+  return speed != null && speed >= MIN_MOVING_SPEED;
+}
+
+// Distance covered in the lead time, in km
+function lookaheadKm(speed) {
+  if (!isMoving(speed)) return ALERT_RADIUS_KM;
+  const km = speed * LEAD_TIME_SECONDS / 1000;
+  return Math.min(MAX_LOOKAHEAD_KM, Math.max(MIN_LOOKAHEAD_KM, km));
+}
+
+// Heading and speed for a new fix. Values the client sent win; otherwise
+// they are derived from the previous fix once the device has moved enough.
+function trackTravel(previous, fix, at) {
+  let { heading = null, speed = null } = fix;
+
+  if (previous && (heading == null || speed == null)) {
+    const moved = calculateDistance(previous.latitude, previous.longitude, fix.latitude, fix.longitude);
+    const seconds = (at - previous.updatedAt) / 1000;
+    if (moved >= MIN_TRACK_DISTANCE_KM && seconds > 0) {
+      if (heading == null) heading = bearing(previous.latitude, previous.longitude, fix.latitude, fix.longitude);
+      if (speed == null) speed = moved * 1000 / seconds;
+    } else if (heading == null) {
+      heading = previous.heading;
+    }
+  }
+
+  return { heading, speed };
+}
+
+// Point `km` away from (lat, lng) along a compass bearing
+function destination(lat, lng, heading, km) {
+  const angular = km / EARTH_RADIUS_KM;
+  const rLat = toRad(lat);
+  const rHeading = toRad(heading);
+  const lat2 = Math.asin(Math.sin(rLat) * Math.cos(angular) + Math.cos(rLat) * Math.sin(angular) * Math.cos(rHeading));
+  const lng2 = toRad(lng) + Math.atan2(
+    Math.sin(rHeading) * Math.sin(angular) * Math.cos(rLat),
+    Math.cos(angular) - Math.sin(rLat) * Math.sin(lat2)
+  );
+  return [toDeg(lat2), ((toDeg(lng2) + 540) % 360) - 180];
+}
+
+// Along-track and cross-track distance of a point relative to a great
+// circle leaving (lat, lng) on `heading`
+function headingOffsets(lat, lng, heading, pointLat, pointLng) {
+  const angular = calculateDistance(lat, lng, pointLat, pointLng) / EARTH_RADIUS_KM;
+  const offBearing = toRad(bearing(lat, lng, pointLat, pointLng) - heading);
+  const crossAngular = Math.asin(Math.sin(angular) * Math.sin(offBearing));
+  const cosAlong = Math.min(1, Math.max(-1, Math.cos(angular) / Math.cos(crossAngular)));
+  const along = Math.acos(cosAlong) * EARTH_RADIUS_KM * Math.sign(Math.cos(offBearing));
+  return { along, cross: Math.abs(crossAngular) * EARTH_RADIUS_KM };
+}
+
+// Nearest point on a polyline of [lat, lng] pairs, as the distance along
+// the route to it and the distance off the route. Segments are projected
+// flat around their start, which is accurate at road-segment scale.
+function routeOffsets(route, pointLat, pointLng) {
+  let best = null;
+  let travelled = 0;
+
+  for (let i = 1; i < route.length; i++) {
+    const [lat0, lng0] = route[i - 1];
+    const [lat1, lng1] = route[i];
+    const kmPerLng = KM_PER_DEGREE * Math.cos(toRad(lat0));
+    const sx = (lng1 - lng0) * kmPerLng;
+    const sy = (lat1 - lat0) * KM_PER_DEGREE;
+    const px = (pointLng - lng0) * kmPerLng;
+    const py = (pointLat - lat0) * KM_PER_DEGREE;
+    const lengthSq = sx * sx + sy * sy;
+    const t = lengthSq > 0 ? Math.min(1, Math.max(0, (px * sx + py * sy) / lengthSq)) : 0;
+    const cross = Math.hypot(px - t * sx, py - t * sy);
+
+    if (!best || cross < best.cross) {
+      best = { along: travelled + t * Math.sqrt(lengthSq), cross };
+    }
+    travelled += Math.sqrt(lengthSq);
+  }
+  return best;
+}
+
+// The part of a polyline between two distances along it, cut at both ends
+function routeSection(route, fromKm, toKm) {
+  const section = [];
+  let travelled = 0;
+
+  for (let i = 1; i < route.length && travelled < toKm; i++) {
+    const [lat0, lng0] = route[i - 1];
+    const [lat1, lng1] = route[i];
+    const kmPerLng = KM_PER_DEGREE * Math.cos(toRad(lat0));
+    const length = Math.hypot((lng1 - lng0) * kmPerLng, (lat1 - lat0) * KM_PER_DEGREE);
+    const at = km => {
+      const t = length > 0 ? (km - travelled) / length : 0;
+      return [lat0 + t * (lat1 - lat0), lng0 + t * (lng1 - lng0)];
+    };
+
+    if (travelled + length >= fromKm) {
+      if (section.length === 0) section.push(at(Math.max(fromKm, travelled)));
+      section.push(travelled + length <= toKm ? [lat1, lng1] : at(toKm));
+    }
+    travelled += length;
+  }
+  return section;
+}
+
+// The alert area for a device's position and travel state. `radiusKm`
+// bounds every point it can match; `ahead(lat, lng, distance)` returns how
+// far ahead of the device the point is, or null when it is outside.
+// `path()` is the corridor's centre line as [lat, lng] pairs for drawing,
+// empty in the plain-radius case.
+function corridorFor({ latitude, longitude, heading, speed, route }) {
+  const reachKm = lookaheadKm(speed);
+
+  if (route && route.length >= 2) {
+    const self = routeOffsets(route, latitude, longitude);
+    if (self.cross <= OFF_ROUTE_KM) {
+      return {
+        mode: 'route',
+        radiusKm: reachKm + CORRIDOR_HALF_WIDTH_KM,
+        ahead: (lat, lng) => {
+          const point = routeOffsets(route, lat, lng);
+          const along = point.along - self.along;
+          if (point.cross > CORRIDOR_HALF_WIDTH_KM || along < -CORRIDOR_HALF_WIDTH_KM || along > reachKm) {
+            return null;
+          }
+          return Math.max(0, along);
+        },
+        path: () => routeSection(route, self.along - CORRIDOR_HALF_WIDTH_KM, self.along + reachKm)
+      };
+    }
+  }
+
+  if (heading != null && isMoving(speed)) {
+    return {
+      mode: 'heading',
+      radiusKm: Math.hypot(reachKm, CORRIDOR_HALF_WIDTH_KM),
+      ahead: (lat, lng) => {
+        const { along, cross } = headingOffsets(latitude, longitude, heading, lat, lng);
+        if (cross > CORRIDOR_HALF_WIDTH_KM || along < -CORRIDOR_HALF_WIDTH_KM || along > reachKm) {
+          return null;
+        }
+        return Math.max(0, along);
+      },
+      path: () => [
+        destination(latitude, longitude, heading, -CORRIDOR_HALF_WIDTH_KM),
+        destination(latitude, longitude, heading, reachKm)
+      ]
+    };
+  }
+
+  return {
+    mode: 'radius',
+    radiusKm: ALERT_RADIUS_KM,
+    ahead: (lat, lng, distance) => (distance <= ALERT_RADIUS_KM ? distance : null),
+    path: () => []
+  };
+}
+
+// Seconds until a point `distanceAhead` km away is reached, if moving
+function etaSeconds(distanceAhead, speed) {
+  return isMoving(speed) ? Math.round(distanceAhead * 1000 / speed) : null;
+}
+
+module.exports = {
+  ALERT_RADIUS_KM,
+  MAX_REACH_KM,
+  bearing,
+  lookaheadKm,
+  trackTravel,
+  corridorFor,
+  etaSeconds
+};
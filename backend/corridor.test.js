@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateDistance } = require('./geo');
+const { bearing, lookaheadKm, trackTravel, corridorFor, etaSeconds } = require('./corridor');
+
+// Offsets in km as coordinates, flat around the origin: fine at this scale
+const ORIGIN = { latitude: 52, longitude: 13 };
+const KM_PER_DEG_LAT = 111.195;
+const KM_PER_DEG_LNG = KM_PER_DEG_LAT * Math.cos(52 * Math.PI / 180);
+const at = (northKm, eastKm) => [
+  ORIGIN.latitude + northKm / KM_PER_DEG_LAT,
+  ORIGIN.longitude + eastKm / KM_PER_DEG_LNG
+];
+
+// distanceAhead for a point, as corridorFor's callers compute it
+function aheadOf(area, [lat, lng]) {
+  return area.ahead(lat, lng, calculateDistance(ORIGIN.latitude, ORIGIN.longitude, lat, lng));
+}
+
+const near = (actual, expected, tolerance = 0.01) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('bearings stay in 0-360 around north', () => {
+  near(bearing(...at(0, 0), ...at(1, 0)), 0, 0.01);
+  near(bearing(...at(0, 0), ...at(0, 1)), 90, 0.5);
+  near(bearing(...at(0, 0), ...at(-1, 0)), 180, 0.01);
+  near(bearing(...at(0, 0), ...at(0, -1)), 270, 0.5);
+
+  // Just west of north wraps to just under 360, not a negative angle
+  const westOfNorth = bearing(...at(0, 0), ...at(1, -0.01));
+  assert.ok(westOfNorth > 359 && westOfNorth < 360, String(westOfNorth));
+  const eastOfNorth = bearing(...at(0, 0), ...at(1, 0.01));
+  assert.ok(eastOfNorth > 0 && eastOfNorth < 1, String(eastOfNorth));
+});
+
+test('a heading corridor matches points ahead only', () => {
+  // 20 m/s looks 1.2 km ahead
+  const area = corridorFor({ ...ORIGIN, heading: 90, speed: 20 });
+  assert.equal(area.mode, 'heading');
+
+  near(aheadOf(area, at(0, 0.5)), 0.5);
+  near(aheadOf(area, at(0.02, 1)), 1);
+  assert.equal(aheadOf(area, at(0, -0.5)), null, 'behind');
+  assert.equal(aheadOf(area, at(0.3, 0.5)), null, 'beside');
+  assert.equal(aheadOf(area, at(0, 1.5)), null, 'past the lookahead');
+  assert.equal(aheadOf(area, at(0, -0.03)), 0, 'just behind counts as here');
+});
+
+test('a heading corridor just west of north still matches across 0/360', () => {
+  const area = corridorFor({ ...ORIGIN, heading: 359, speed: 20 });
+  near(aheadOf(area, at(0.5, 0)), 0.5);
+  near(aheadOf(area, at(0.5, -0.01)), 0.5);
+  assert.equal(aheadOf(area, at(-0.5, 0)), null);
+
+  const eastward = corridorFor({ ...ORIGIN, heading: 1, speed: 20 });
+  near(aheadOf(eastward, at(0.5, 0.01)), 0.5);
+});
+
+test('a route corridor follows the turns of the route', () => {
+  // East for 0.5 km, then north
+  const route = [at(0, -0.5), at(0, 0.5), at(1.5, 0.5)];
+  const area = corridorFor({ ...ORIGIN, heading: 90, speed: 20, route });
+  assert.equal(area.mode, 'route');
+
+  near(aheadOf(area, at(0, 0.3)), 0.3);
+  near(aheadOf(area, at(0.5, 0.5)), 1);
+  assert.equal(aheadOf(area, at(0, -0.3)), null, 'behind on the route');
+  assert.equal(aheadOf(area, at(0, 0.9)), null, 'straight on past the turn');
+  assert.equal(aheadOf(area, at(1.4, 0.5)), null, 'past the lookahead');
+
+  const path = area.path();
+  near(path[0][1], at(0, -0.05)[1], 1e-4);
+  assert.deepEqual(path[1], at(0, 0.5));
+  near(path[2][0], at(0.7, 0.5)[0], 1e-4);
+});
+
+test('a device off its route falls back to its heading', () => {
+  const route = [at(1, -1), at(1, 1)];
+  assert.equal(corridorFor({ ...ORIGIN, heading: 90, speed: 20, route }).mode, 'heading');
+});
+
+test('parked devices and devices without a heading get the circle', () => {
+  for (const user of [{ ...ORIGIN }, { ...ORIGIN, heading: 90, speed: 0.5 }, { ...ORIGIN, speed: 20 }]) {
+    const area = corridorFor(user);
+    assert.equal(area.mode, 'radius');
+    assert.equal(area.radiusKm, 1);
+    assert.deepEqual(area.path(), []);
+    near(aheadOf(area, at(0, -0.8)), 0.8);
+    assert.equal(aheadOf(area, at(0, 1.2)), null);
+  }
+});
+
+test('the lookahead grows with speed within its bounds', () => {
+  assert.equal(lookaheadKm(null), 1);
+  assert.equal(lookaheadKm(2), 0.3);
+  assert.equal(lookaheadKm(20), 1.2);
+  assert.equal(lookaheadKm(200), 5);
+  assert.equal(etaSeconds(1.2, 20), 60);
+  assert.equal(etaSeconds(1.2, 0), null);
+});
+
+test('trackTravel derives heading and speed from two fixes', () => {
+  const previous = { latitude: ORIGIN.latitude, longitude: ORIGIN.longitude, heading: null, updatedAt: 0 };
+  const [latitude, longitude] = at(0.1, 0);
+
+  const derived = trackTravel(previous, { latitude, longitude }, 10000);
+  near(derived.heading, 0, 0.01);
+  near(derived.speed, 10, 0.01);
+
+  // What the client sent wins
+  assert.deepEqual(trackTravel(previous, { latitude, longitude, heading: 45, speed: 3 }, 10000), { heading: 45, speed: 3 });
+});
+
+test('trackTravel keeps the last heading while barely moving', () => {
+  const previous = { latitude: ORIGIN.latitude, longitude: ORIGIN.longitude, heading: 270, updatedAt: 0 };
+  const [latitude, longitude] = at(0.005, 0);
+
+  assert.deepEqual(trackTravel(previous, { latitude, longitude }, 10000), { heading: 270, speed: null });
+  assert.deepEqual(trackTravel(null, { latitude, longitude }, 10000), { heading: null, speed: null });
+});
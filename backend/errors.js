@@ -0,0 +1,34 @@
+// Every API failure uses the same body: { error: { code, message, field } }
+function sendError(res, status, code, message, field = null) {
+  return res.status(status).json({ error: { code, message, field } });
+}
+
+// Thrown from async code paths and turned into a response by errorHandler
+class ApiError extends Error {
+  constructor(status, code, message, field = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.field = field;
+  }
+}
+
+// Final express error handler, e.g. for malformed JSON bodies
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err instanceof ApiError) {
+    return sendError(res, err.status, err.code, err.message, err.field);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+
+  console.error('❌ Unhandled error:', err);
+  return sendError(res, 500, 'INTERNAL_ERROR', 'Something went wrong');
+}
+
+module.exports = { sendError, ApiError, errorHandler };
@@ -0,0 +1,126 @@
+const { once } = require('events');
+
+// Hazard exports for GIS tools. Every format writes one record at a time
+// so large result sets are streamed instead of built up in memory.
+
+// Flat per-hazard fields shared by all formats
+const EXPORT_FIELDS = [
+  'id', 'type', 'severity', 'status', 'latitude', 'longitude', 'confidence', 'reportCount',
+  'timestamp', 'reportedBy', 'source', 'resolvedAt', 'resolvedBy', 'expiresAt', 'imageUrl', 'thumbnailUrl'
+];
+const DATE_FIELDS = new Set(['timestamp', 'resolvedAt', 'expiresAt']);
+
+function exportRow(hazard) {
+  const row = {};
+  EXPORT_FIELDS.forEach(field => {
+    const value = hazard[field];
+    if (value == null) {
+      row[field] = null;
+    } else if (DATE_FIELDS.has(field)) {
+      row[field] = new Date(value).toISOString();
+    } else {
+      row[field] = value;
+    }
+  });
+  if (row.reportCount == null) row.reportCount = 1;
+  return row;
+}
+
+// Quote when needed, and defuse values a spreadsheet would run as a formula
+function csvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const FORMATS = {
+  geojson: {
+    contentType: 'application/geo+json',
+    head: () => '{"type":"FeatureCollection","features":[\n',
+    item: (hazard, index) => {
+      const { latitude, longitude, ...properties } = exportRow(hazard);
+      const feature = {
+        type: 'Feature',
+        id: hazard.id,
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties
+      };
+      return `${index > 0 ? ',\n' : ''}${JSON.stringify(feature)}`;
+    },
+    tail: () => '\n]}\n'
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    head: () => `${EXPORT_FIELDS.join(',')}\r\n`,
+    item: (hazard) => {
+      const row = exportRow(hazard);
+      return `${EXPORT_FIELDS.map(field => csvCell(row[field])).join(',')}\r\n`;
+    },
+    tail: () => ''
+  },
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    head: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n<name>Road hazards</name>\n',
+    item: (hazard) => {
+      const row = exportRow(hazard);
+      const data = EXPORT_FIELDS
+        .filter(field => row[field] != null)
+        .map(field => `<Data name="${field}"><value>${xmlEscape(row[field])}</value></Data>`)
+        .join('');
+      return '<Placemark>' +
+        `<name>${xmlEscape(`${row.type} (${row.severity})`)}</name>` +
+        `<description>${xmlEscape(`Status: ${row.status}. Reported ${row.timestamp}`)}</description>` +
+        `<ExtendedData>${data}</ExtendedData>` +
+        `<Point><coordinates>${row.longitude},${row.latitude}</coordinates></Point>` +
+        '</Placemark>\n';
+    },
+    tail: () => '</Document>\n</kml>\n'
+  }
+};
+
+// Write `hazards` (any iterable) to the response in `format`, waiting for
+// the client to drain between chunks. Stops early if the client goes away.
+async function streamExport(res, format, hazards) {
+  const { contentType, head, item, tail } = FORMATS[format];
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="hazards-${stamp}.${format}"`);
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  // Whichever of drain and close comes first, the other's listeners are
+  // removed too, so long exports don't pile them up on the response
+  const write = async (chunk) => {
+    if (chunk && !res.write(chunk)) {
+      const waiting = new AbortController();
+      const { signal } = waiting;
+      await Promise.race([once(res, 'drain', { signal }), once(res, 'close', { signal })])
+        .finally(() => waiting.abort());
+    }
+  };
+
+  await write(head());
+  let index = 0;
+  for (const hazard of hazards) {
+    if (closed) return index;
+    await write(item(hazard, index++));
+  }
+  await write(tail());
+  res.end();
+  return index;
+}
+
+module.exports = { EXPORT_FORMATS: Object.keys(FORMATS), EXPORT_FIELDS, streamExport };
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const { streamExport } = require('./exporters');
+
+// A response that takes its time over every chunk, so nearly every write
+// has to wait for drain
+function slowResponse() {
+  const chunks = [];
+  const res = new Writable({
+    highWaterMark: 64,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      setImmediate(callback);
+    }
+  });
+  res.headers = {};
+  res.set = (name, value) => { res.headers[name] = value; };
+  res.body = () => Buffer.concat(chunks).toString();
+  return res;
+}
+
+function* hazards(count) {
+  for (let id = 1; id <= count; id++) {
+    yield { id, type: 'pothole', severity: 'low', status: 'reported', latitude: 52 + id / 1e5, longitude: 13.4, timestamp: new Date(0) };
+  }
+}
+
+test('a large export waits for drain without piling up listeners', async (t) => {
+  const warnings = [];
+  const onWarning = warning => warnings.push(warning);
+  process.on('warning', onWarning);
+  t.after(() => process.off('warning', onWarning));
+
+  const res = slowResponse();
+  const count = await streamExport(res, 'geojson', hazards(20000));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(count, 20000);
+  assert.equal(JSON.parse(res.body()).features.length, 20000);
+  assert.equal(res.listenerCount('drain'), 0);
+  assert.ok(res.listenerCount('close') <= 2, `${res.listenerCount('close')} close listeners`);
+  assert.deepEqual(warnings.filter(warning => warning.name === 'MaxListenersExceededWarning'), []);
+  assert.equal(res.headers['Content-Type'], 'application/geo+json');
+});
+
+test('an export stops when the client goes away', async () => {
+  const res = slowResponse();
+  setTimeout(() => res.destroy(), 20);
+  const count = await streamExport(res, 'csv', hazards(20000));
+  assert.ok(count < 20000);
+});
@@ -0,0 +1,65 @@
+const EARTH_RADIUS_KM = 6371;
+
+// Calculate distance between coordinates (Haversine formula)
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = EARTH_RADIUS_KM;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = 
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Standard geohash of a point, `precision` characters long
+function geohash(lat, lng, precision) {
+  const range = { lat: [-90, 90], lng: [-180, 180] };
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let even = true;
+
+  while (hash.length < precision) {
+    const axis = even ? 'lng' : 'lat';
+    const point = even ? lng : lat;
+    const mid = (range[axis][0] + range[axis][1]) / 2;
+    value <<= 1;
+    if (point >= mid) {
+      value |= 1;
+      range[axis][0] = mid;
+    } else {
+      range[axis][1] = mid;
+    }
+    even = !even;
+
+    if (++bits === 5) {
+      hash += GEOHASH_BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+// [minLng, minLat, maxLng, maxLat] of a geohash cell
+function geohashBounds(hash) {
+  const range = { lat: [-90, 90], lng: [-180, 180] };
+  let even = true;
+
+  for (const char of hash) {
+    const value = GEOHASH_BASE32.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const axis = even ? 'lng' : 'lat';
+      const mid = (range[axis][0] + range[axis][1]) / 2;
+      range[axis][(value >> bit) & 1 ? 0 : 1] = mid;
+      even = !even;
+    }
+  }
+  return [range.lng[0], range.lat[0], range.lng[1], range.lat[1]];
+}
+
+module.exports = { EARTH_RADIUS_KM, calculateDistance, geohash, geohashBounds };
@@ -0,0 +1,45 @@
+const { calculateDistance } = require('./geo');
+
+// Fixed watch areas: a circle ({ shape: 'circle', latitude, longitude,
+// radiusKm }) or a polygon ({ shape: 'polygon', polygon: [[lat, lng], ...] }).
+// Polygons are treated as flat, which is fine at city-ward scale.
+
+// Ray casting on lat/lng; points exactly on an edge may fall either way
+function pointInPolygon(lat, lng, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    if ((latI > lat) !== (latJ > lat) &&
+        lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function containsPoint(area, lat, lng) {
+  if (area.shape === 'circle') {
+    return calculateDistance(area.latitude, area.longitude, lat, lng) <= area.radiusKm;
+  }
+  return pointInPolygon(lat, lng, area.polygon);
+}
+
+// The area fields of a subscription request, or an error for whatever
+// its shape is missing
+function areaFrom({ shape, latitude, longitude, radiusKm, polygon }) {
+  if (shape === 'circle') {
+    const circle = { latitude, longitude, radiusKm };
+    const missing = Object.keys(circle).find(field => circle[field] == null);
+    if (missing) {
+      return { error: { code: 'MISSING_FIELD', message: `${missing} is required for a circle`, field: missing } };
+    }
+    return { area: { shape, ...circle } };
+  }
+  if (!polygon || polygon.length < 3) {
+    return { error: { code: 'INVALID_FIELD', message: 'polygon needs at least 3 points', field: 'polygon' } };
+  }
+  return { area: { shape, polygon } };
+}
+
+module.exports = { pointInPolygon, containsPoint, areaFrom };
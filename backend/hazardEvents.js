@@ -0,0 +1,31 @@
+const { STATUS } = require('./hazardLifecycle');
+
+// Names hazard events are published under outside Socket.IO (subscription
+// rooms, webhooks). Status changes become hazard.<status>.
+const EXTERNAL_EVENTS = {
+  hazard_alert: 'hazard.reported',
+  hazard_updated: 'hazard.updated',
+  hazard_resolved: 'hazard.resolved',
+  hazard_removed: 'hazard.removed'
+};
+
+// Bulk imports are announced once, with counts, rather than per hazard
+const IMPORT_EVENT = 'hazard.imported';
+
+// Everything a webhook can ask for. Leaving pending is announced as
+// hazard.reported, so there is no separate status event for it.
+const WEBHOOK_EVENTS = [
+  ...Object.values(EXTERNAL_EVENTS),
+  IMPORT_EVENT,
+  ...[STATUS.CONFIRMED, STATUS.DISPUTED, STATUS.REOPENED, STATUS.EXPIRED].map(status => `hazard.${status}`)
+];
+
+function externalEventName(event, payload) {
+  if (event === 'hazard_status_changed') {
+    // Resolving also sends hazard_resolved, published as hazard.resolved
+    return payload.to === 'resolved' ? null : `hazard.${payload.to}`;
+  }
+  return EXTERNAL_EVENTS[event] || null;
+}
+
+module.exports = { WEBHOOK_EVENTS, IMPORT_EVENT, externalEventName };
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Append-only event log per hazard: reports, merges, confirmations and
+// disputes, status transitions, moderator edits and media. Events outlive
+// the hazard itself, so a deleted hazard's history can still be read.
+const EVENT_TYPES = {
+  REPORTED: 'reported',
+  MERGED: 'merged',
+  CONFIRMATION: 'confirmation',
+  DISPUTE: 'dispute',
+  STATUS_CHANGED: 'status_changed',
+  EDITED: 'edited',
+  MEDIA_ATTACHED: 'media_attached',
+  MEDIA_HIDDEN: 'media_hidden',
+  DELETED: 'deleted'
+};
+
+// Events for hazards stored before the log existed, rebuilt from what the
+// record still holds: its observations and lifecycle transitions
+function derivedEvents(hazard) {
+  const observations = hazard.observations || [];
+  const events = (hazard.transitions || []).map(({ from, to, actor, at, reason }) => (from === null
+    ? { type: EVENT_TYPES.REPORTED, actor, at, details: { status: to } }
+    : { type: EVENT_TYPES.STATUS_CHANGED, actor, at, details: { from, to, reason: reason || null } }));
+
+  observations.slice(1).forEach(observation => {
+    events.push({ type: EVENT_TYPES.MERGED, actor: observation.deviceId, at: observation.timestamp, details: { confidence: observation.confidence } });
+  });
+  observations.filter(o => o.imageUrl).forEach(observation => {
+    events.push({ type: EVENT_TYPES.MEDIA_ATTACHED, actor: observation.deviceId, at: observation.timestamp, details: { url: observation.imageUrl, thumbnailUrl: observation.thumbnailUrl } });
+  });
+
+  return events
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .map((event, index) => ({ id: `derived_${index}`, hazardId: hazard.id, derived: true, ...event }));
+}
+
+function createHazardHistory(eventStore) {
+  // Events per hazard in the order they were recorded
+  const byHazard = new Map();
+  const index = (event) => {
+    if (!byHazard.has(event.hazardId)) byHazard.set(event.hazardId, []);
+    byHazard.get(event.hazardId).push(event);
+  };
+  const stored = eventStore.find().sort((a, b) => a.seq - b.seq);
+  stored.forEach(index);
+  let seq = stored.length ? stored[stored.length - 1].seq : 0;
+
+  function record(hazardId, type, actor, details = {}) {
+    const event = eventStore.insert({
+      id: `hev_${crypto.randomBytes(8).toString('hex')}`,
+      hazardId,
+      seq: ++seq,
+      type,
+      actor: actor || null,
+      at: new Date(),
+      details
+    });
+    index(event);
+    return event;
+  }
+
+  // Oldest first. For hazards reported before the log existed, whatever
+  // happened before their first recorded event is derived from the record.
+  function forHazard(hazardId, hazard = null) {
+    const recorded = byHazard.get(hazardId) || [];
+    if (!hazard || recorded.some(event => event.type === EVENT_TYPES.REPORTED)) return recorded;
+
+    const since = recorded.length ? new Date(recorded[0].at) : Infinity;
+    return [...derivedEvents(hazard).filter(event => new Date(event.at) < since), ...recorded];
+  }
+
+  return { record, forHazard };
+}
+
+module.exports = { EVENT_TYPES, createHazardHistory };
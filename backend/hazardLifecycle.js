@@ -0,0 +1,168 @@
+// Hazard lifecycle: reported → confirmed → resolved, with disputed,
+// reopened and expired branches. Reports from low-reputation devices start
+// out pending and only go live once another device corroborates them. Every transition goes through
+// transition() so it is validated and recorded the same way.
+
+const STATUS = {
+  PENDING: 'pending',
+  REPORTED: 'reported',
+  CONFIRMED: 'confirmed',
+  DISPUTED: 'disputed',
+  REOPENED: 'reopened',
+  RESOLVED: 'resolved',
+  EXPIRED: 'expired'
+};
+
+// Statuses that still count as a live hazard on the road
+const OPEN_STATUSES = [STATUS.REPORTED, STATUS.CONFIRMED, STATUS.DISPUTED, STATUS.REOPENED];
+
+const TRANSITIONS = {
+  [STATUS.PENDING]: [STATUS.REPORTED, STATUS.CONFIRMED, STATUS.EXPIRED],
+  [STATUS.REPORTED]: [STATUS.CONFIRMED, STATUS.DISPUTED, STATUS.RESOLVED, STATUS.EXPIRED],
+  [STATUS.CONFIRMED]: [STATUS.DISPUTED, STATUS.RESOLVED, STATUS.EXPIRED],
+  [STATUS.DISPUTED]: [STATUS.CONFIRMED, STATUS.RESOLVED, STATUS.EXPIRED],
+  [STATUS.REOPENED]: [STATUS.CONFIRMED, STATUS.DISPUTED, STATUS.RESOLVED, STATUS.EXPIRED],
+  [STATUS.RESOLVED]: [STATUS.REOPENED],
+  [STATUS.EXPIRED]: [STATUS.REOPENED]
+};
+
+// Independent devices needed before a hazard is confirmed / disputed
+const CONFIRMATION_THRESHOLD = parseInt(process.env.CONFIRMATION_THRESHOLD, 10) || 2;
+const DISPUTE_THRESHOLD = parseInt(process.env.DISPUTE_THRESHOLD, 10) || 2;
+
+// Transient hazards expire when nobody has confirmed them for this long
+const TYPE_TTL_MS = {
+  animal: 30 * 60 * 1000, // 30 minutes
+  debris: 4 * 60 * 60 * 1000 // 4 hours
+};
+
+// Pending reports of any type are dropped if nobody backs them up
+const PENDING_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+function isOpen(hazard) {
+  return OPEN_STATUSES.includes(hazard.status);
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function isPending(hazard) {
+  return hazard.status === STATUS.PENDING;
+}
+
+function expiresAtFor(type, from = new Date(), status = null) {
+  let ttl = TYPE_TTL_MS[type];
+  if (status === STATUS.PENDING) {
+    ttl = Math.min(ttl || Infinity, PENDING_TTL_MS);
+  }
+  return ttl ? new Date(from.getTime() + ttl) : null;
+}
+
+// Older records only knew active/resolved
+function migrateLegacyStatus(hazard) {
+  if (hazard.status !== 'active') return null;
+  return {
+    status: STATUS.REPORTED,
+    reporters: hazard.reporters || (hazard.reportedBy ? [hazard.reportedBy] : []),
+    disputedBy: hazard.disputedBy || [],
+    transitions: hazard.transitions || [],
+    expiresAt: expiresAtFor(hazard.type, new Date(hazard.timestamp))
+  };
+}
+
+// Returns the changes for moving `hazard` to `to`, or null when the
+// lifecycle doesn't allow it. A `forced` transition is a moderator
+// override and is marked as one in the hazard's transitions.
+function transition(hazard, to, actor, reason = null, { forced = false } = {}) {
+  if (!canTransition(hazard.status, to)) return null;
+
+  const at = new Date();
+  const record = { from: hazard.status, to, actor, at, reason };
+  if (forced) record.forced = true;
+  const changes = {
+    status: to,
+    transitions: [...(hazard.transitions || []), record]
+  };
+
+  if (to === STATUS.RESOLVED) {
+    changes.resolvedBy = actor;
+    changes.resolvedAt = at;
+  } else if (to === STATUS.REOPENED) {
+    changes.reporters = [actor];
+    changes.disputedBy = [];
+    changes.resolvedBy = null;
+    changes.resolvedAt = null;
+    changes.resolvedImageUrl = null;
+    changes.expiresAt = expiresAtFor(hazard.type, at);
+  } else if (to === STATUS.CONFIRMED || to === STATUS.REPORTED) {
+    changes.expiresAt = expiresAtFor(hazard.type, at);
+  }
+
+  return changes;
+}
+
+// Changes for giving a hazard another type. One still on the road gets
+// the new type's lifetime from now, or none if that type doesn't expire.
+function changeType(hazard, type, now = new Date()) {
+  if (!isOpen(hazard) && !isPending(hazard)) return { type };
+  return { type, expiresAt: expiresAtFor(type, now, hazard.status) };
+}
+
+// Record a corroborating device and confirm once enough have agreed
+function addConfirmation(hazard, deviceId) {
+  const reporters = hazard.reporters || [];
+  if (reporters.includes(deviceId)) return null;
+
+  const updated = { ...hazard, reporters: [...reporters, deviceId] };
+  const changes = {
+    reporters: updated.reporters,
+    disputedBy: (hazard.disputedBy || []).filter(id => id !== deviceId),
+    expiresAt: expiresAtFor(hazard.type)
+  };
+
+  if (updated.reporters.length >= CONFIRMATION_THRESHOLD && hazard.status !== STATUS.CONFIRMED) {
+    Object.assign(changes, transition(updated, STATUS.CONFIRMED, deviceId));
+  } else if (isPending(hazard)) {
+    // A second device is enough to take a pending report live
+    Object.assign(changes, transition(updated, STATUS.REPORTED, deviceId));
+  }
+  return changes;
+}
+
+// Record a device saying the hazard isn't there, disputing once enough agree
+function addDispute(hazard, deviceId, reason) {
+  const disputedBy = hazard.disputedBy || [];
+  if (disputedBy.includes(deviceId) || (hazard.reporters || []).includes(deviceId)) return null;
+
+  const updated = { ...hazard, disputedBy: [...disputedBy, deviceId] };
+  const changes = { disputedBy: updated.disputedBy };
+
+  if (updated.disputedBy.length >= DISPUTE_THRESHOLD && hazard.status !== STATUS.DISPUTED) {
+    Object.assign(changes, transition(updated, STATUS.DISPUTED, deviceId, reason));
+  }
+  return changes;
+}
+
+function isExpired(hazard, now = Date.now()) {
+  return (isOpen(hazard) || isPending(hazard)) && hazard.expiresAt != null && new Date(hazard.expiresAt).getTime() <= now;
+}
+
+module.exports = {
+  STATUS,
+  OPEN_STATUSES,
+  CONFIRMATION_THRESHOLD,
+  DISPUTE_THRESHOLD,
+  TYPE_TTL_MS,
+  PENDING_TTL_MS,
+  isOpen,
+  isPending,
+  canTransition,
+  expiresAtFor,
+  migrateLegacyStatus,
+  transition,
+  changeType,
+  addConfirmation,
+  addDispute,
+  isExpired
+};
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATUS, TYPE_TTL_MS, PENDING_TTL_MS, changeType } = require('./hazardLifecycle');
+
+const now = new Date('2026-03-01T12:00:00.000Z');
+const hazard = (type, status, expiresAt = null) => ({ type, status, expiresAt });
+
+test('a type that expires starts the clock on a hazard that had none', () => {
+  const changes = changeType(hazard('pothole', STATUS.REPORTED), 'animal', now);
+  assert.equal(changes.type, 'animal');
+  assert.equal(changes.expiresAt.getTime(), now.getTime() + TYPE_TTL_MS.animal);
+});
+
+test('a type that never expires clears the expiry', () => {
+  const changes = changeType(hazard('debris', STATUS.CONFIRMED, new Date(now.getTime() + 1000)), 'pothole', now);
+  assert.deepEqual(changes, { type: 'pothole', expiresAt: null });
+});
+
+test('pending hazards keep the pending limit', () => {
+  assert.equal(changeType(hazard('pothole', STATUS.PENDING), 'debris', now).expiresAt.getTime(),
+    now.getTime() + Math.min(TYPE_TTL_MS.debris, PENDING_TTL_MS));
+  assert.equal(changeType(hazard('animal', STATUS.PENDING), 'pothole', now).expiresAt.getTime(),
+    now.getTime() + PENDING_TTL_MS);
+});
+
+test('closed hazards keep their expiry', () => {
+  assert.deepEqual(changeType(hazard('pothole', STATUS.RESOLVED), 'animal', now), { type: 'animal' });
+});
@@ -0,0 +1,115 @@
+// Duplicate reports are merged into the existing hazard as corroborating
+// observations instead of being dropped.
+
+// Reports of the same type within radiusKm and windowMs of the hazard's
+// last report are treated as duplicates. Override per type with e.g.
+// DUPLICATE_RULES='{"pothole":{"radiusKm":0.05,"windowMinutes":1440}}'
+const DEFAULT_RULE = { radiusKm: 0.1, windowMs: 5 * 60 * 1000 }; // 100 meters, 5 minutes
+
+function loadDuplicateRules() {
+  if (!process.env.DUPLICATE_RULES) return {};
+
+  try {
+    const parsed = JSON.parse(process.env.DUPLICATE_RULES);
+    const rules = {};
+    Object.entries(parsed).forEach(([type, rule]) => {
+      rules[type] = {
+        radiusKm: rule.radiusKm != null ? Number(rule.radiusKm) : DEFAULT_RULE.radiusKm,
+        windowMs: rule.windowMinutes != null ? Number(rule.windowMinutes) * 60 * 1000 : DEFAULT_RULE.windowMs
+      };
+    });
+    return rules;
+  } catch (error) {
+    console.error('❌ Ignoring invalid DUPLICATE_RULES:', error.message);
+    return {};
+  }
+}
+
+const DUPLICATE_RULES = loadDuplicateRules();
+
+function duplicateRuleFor(type) {
+  return DUPLICATE_RULES[type] || DEFAULT_RULE;
+}
+
+// `confidence` is the trust-weighted value, `rawConfidence` what the device
+// sent; `source` tags observations that came in through a bulk import
+function toObservation({ deviceId, latitude, longitude, confidence, rawConfidence, imageUrl, thumbnailUrl, source, timestamp }) {
+  return {
+    deviceId: deviceId || null,
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    confidence: confidence || 100,
+    rawConfidence: rawConfidence || confidence || 100,
+    imageUrl: imageUrl || null,
+    thumbnailUrl: thumbnailUrl || null,
+    source: source || null,
+    timestamp: timestamp || new Date()
+  };
+}
+
+// Aggregate fields derived from a hazard's observations
+function summarize(observations) {
+  const confidences = observations.map(o => o.confidence);
+  const latitude = observations.reduce((sum, o) => sum + o.latitude, 0) / observations.length;
+  const longitude = observations.reduce((sum, o) => sum + o.longitude, 0) / observations.length;
+  const avgConfidence = confidences.reduce((sum, c) => sum + c, 0) / confidences.length;
+
+  return {
+    latitude,
+    longitude,
+    observations,
+    reportCount: observations.length,
+    maxConfidence: Math.max(...confidences),
+    avgConfidence: Math.round(avgConfidence * 10) / 10,
+    images: observations.map(o => o.imageUrl).filter(Boolean),
+    thumbnails: observations.filter(o => o.imageUrl).map(o => o.thumbnailUrl || o.imageUrl),
+    lastReportedAt: observations[observations.length - 1].timestamp
+  };
+}
+
+// Hazards stored before merging existed only carry the first report
+function observationsOf(hazard) {
+  if (hazard.observations) return hazard.observations;
+  return [toObservation({
+    deviceId: hazard.reportedBy,
+    latitude: hazard.latitude,
+    longitude: hazard.longitude,
+    confidence: hazard.confidence,
+    imageUrl: hazard.imageUrl,
+    timestamp: hazard.timestamp
+  })];
+}
+
+// Changes that pin the hazard where a moderator put it. Merged reports
+// still count, but no longer move it.
+function pinLocation(latitude, longitude, actor, at = new Date()) {
+  return { latitude, longitude, locationOverride: { latitude, longitude, actor, at } };
+}
+
+// Changes that fold a new observation into the hazard
+function mergeObservation(hazard, observation) {
+  const merged = summarize([...observationsOf(hazard), observation]);
+  const pinned = hazard.locationOverride;
+  return {
+    ...merged,
+    ...(pinned && { latitude: pinned.latitude, longitude: pinned.longitude }),
+    imageUrl: hazard.imageUrl || observation.imageUrl,
+    thumbnailUrl: hazard.imageUrl ? hazard.thumbnailUrl || null : observation.thumbnailUrl,
+    confidence: merged.maxConfidence
+  };
+}
+
+function isWithinWindow(hazard, rule, now = Date.now()) {
+  const lastReport = hazard.lastReportedAt || hazard.timestamp;
+  return now - new Date(lastReport).getTime() < rule.windowMs;
+}
+
+module.exports = {
+  DEFAULT_RULE,
+  duplicateRuleFor,
+  toObservation,
+  summarize,
+  pinLocation,
+  mergeObservation,
+  isWithinWindow
+};
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toObservation, summarize, pinLocation, mergeObservation } = require('./hazardMerge');
+
+const report = (latitude, longitude) => toObservation({ deviceId: 'dev_a', latitude, longitude, confidence: 80 });
+
+test('merged reports average the location', () => {
+  const hazard = summarize([report(52.1, 13.4)]);
+  const changes = mergeObservation(hazard, report(52.1008, 13.4));
+
+  assert.equal(changes.reportCount, 2);
+  assert.ok(Math.abs(changes.latitude - 52.1004) < 1e-9);
+});
+
+test('a moderator-pinned location survives later merges', () => {
+  let hazard = summarize([report(52.1, 13.4), report(52.1001, 13.4)]);
+  hazard = { ...hazard, ...pinLocation(52.1008, 13.4012, 'admin') };
+
+  for (const latitude of [52.1002, 52.0999]) {
+    hazard = { ...hazard, ...mergeObservation(hazard, report(latitude, 13.4)) };
+  }
+
+  assert.equal(hazard.reportCount, 4);
+  assert.equal(hazard.latitude, 52.1008);
+  assert.equal(hazard.longitude, 13.4012);
+  assert.equal(hazard.locationOverride.actor, 'admin');
+});
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const lifecycle = require('./hazardLifecycle');
+const { calculateDistance } = require('./geo');
+const { ApiError } = require('./errors');
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Is the point inside a { minLng, minLat, maxLng, maxLat } box? A box with
+// minLng > maxLng crosses the antimeridian.
+function inBbox(bbox, lat, lng) {
+  if (lat < bbox.minLat || lat > bbox.maxLat) return false;
+  return bbox.minLng <= bbox.maxLng
+    ? lng >= bbox.minLng && lng <= bbox.maxLng
+    : lng >= bbox.minLng || lng <= bbox.maxLng;
+}
+
+// Predicate for the filters shared by hazard listings and exports, taking a
+// query validated against one of the hazard query schemas:
+// - status: a lifecycle status, or 'active' for any open one. Pending
+//   reports stay hidden unless asked for explicitly.
+// - bbox, type and severity lists, and from / to dates on the report time
+// - reporter: a device among the hazard's reporters
+// - minConfidence: the (trust-weighted) stored confidence
+function hazardFilter({ status, bbox, type, severity, from, to, reporter, minConfidence }) {
+  return (hazard) => {
+    if (status === 'active') {
+      if (!lifecycle.isOpen(hazard)) return false;
+    } else if (status) {
+      if (hazard.status !== status) return false;
+    } else if (lifecycle.isPending(hazard)) {
+      return false;
+    }
+
+    if (bbox && !inBbox(bbox, hazard.latitude, hazard.longitude)) return false;
+    if (type && !type.includes(hazard.type)) return false;
+    if (severity && !severity.includes(hazard.severity)) return false;
+
+    const reportedAt = new Date(hazard.timestamp);
+    if (from && reportedAt < from) return false;
+    if (to && reportedAt > to) return false;
+
+    if (reporter && !(hazard.reporters || [hazard.reportedBy]).includes(reporter)) return false;
+    if (minConfidence != null && !(hazard.confidence >= minConfidence)) return false;
+    return true;
+  };
+}
+
+// Sort keys per ordering, always ending in the id so the order is total and
+// a cursor (the last key seen) pins an exact position in it
+const SORTS = {
+  newest: { directions: [-1, -1], keys: h => [new Date(h.timestamp).getTime(), h.id] },
+  oldest: { directions: [1, 1], keys: h => [new Date(h.timestamp).getTime(), h.id] },
+  severity: { directions: [-1, -1, -1], keys: h => [SEVERITY_RANK[h.severity] || 0, new Date(h.timestamp).getTime(), h.id] },
+  distance: { directions: [1, 1], keys: (h, origin) => [calculateDistance(origin.latitude, origin.longitude, h.latitude, h.longitude), h.id] }
+};
+
+function compareKeys(a, b, directions) {
+  for (let i = 0; i < directions.length; i++) {
+    if (a[i] !== b[i]) return (a[i] < b[i] ? -1 : 1) * directions[i];
+  }
+  return 0;
+}
+
+// Cursors only make sense for the query that produced them
+function fingerprint(query) {
+  const { cursor, limit, ...rest } = query;
+  const canonical = JSON.stringify(Object.keys(rest).sort().map(key => [key, rest[key]]));
+  return crypto.createHash('sha1').update(canonical).digest('base64url').slice(0, 12);
+}
+
+function encodeCursor(keys, query) {
+  return Buffer.from(JSON.stringify({ k: keys, q: fingerprint(query) })).toString('base64url');
+}
+
+// The keys must still fit the ordering: one finite number per sort key
+function decodeCursor(cursor, query, keyCount) {
+  try {
+    const { k, q } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (q === fingerprint(query) && Array.isArray(k) && k.length === keyCount && k.every(Number.isFinite)) {
+      return k;
+    }
+  } catch (error) {
+    // fall through
+  }
+  throw new ApiError(400, 'INVALID_CURSOR', 'cursor is invalid or belongs to a different query', 'cursor');
+}
+
+// One page of hazards for a validated list query. Keyset pagination: the
+// cursor is the last item's sort key, so pages stay stable while hazards
+// are added or change. Returns { hazards, nextCursor, total }.
+function pageHazards(hazards, query) {
+  const { sort = 'newest', limit = 50, cursor, latitude, longitude } = query;
+  const { directions, keys } = SORTS[sort];
+  const origin = { latitude, longitude };
+  const after = cursor ? decodeCursor(cursor, query, directions.length) : null;
+  const matches = hazardFilter(query);
+
+  let total = 0;
+  const candidates = [];
+  for (const hazard of hazards) {
+    if (!matches(hazard)) continue;
+    total++;
+    const hazardKeys = keys(hazard, origin);
+    if (!after || compareKeys(hazardKeys, after, directions) > 0) {
+      candidates.push({ hazard, keys: hazardKeys });
+    }
+  }
+
+  candidates.sort((a, b) => compareKeys(a.keys, b.keys, directions));
+  const page = candidates.slice(0, limit);
+  const hasMore = candidates.length > limit;
+
+  return {
+    hazards: page.map(({ hazard, keys: hazardKeys }) => (
+      sort === 'distance' ? { ...hazard, distance: hazardKeys[0] } : hazard
+    )),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].keys, query) : null,
+    total
+  };
+}
+
+module.exports = { SORT_ORDERS: Object.keys(SORTS), inBbox, hazardFilter, pageHazards };
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pageHazards } = require('./hazardQuery');
+
+const hazard = (id, minute, fields = {}) => ({
+  id,
+  type: 'pothole',
+  severity: 'medium',
+  status: 'reported',
+  latitude: 52.1,
+  longitude: 13.4,
+  timestamp: new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString(),
+  ...fields
+});
+
+// Follows nextCursor to the end, calling between(hazards) before each page
+function collect(hazards, query, between = () => {}) {
+  const ids = [];
+  let cursor;
+  do {
+    between(hazards);
+    const page = pageHazards(hazards, cursor ? { ...query, cursor } : query);
+    ids.push(...page.hazards.map(h => h.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return ids;
+}
+
+const invalidCursor = { status: 400, code: 'INVALID_CURSOR' };
+
+test('pages walk every hazard once, newest first', () => {
+  const hazards = [1, 2, 3, 4, 5].map(id => hazard(id, id));
+
+  const first = pageHazards(hazards, { limit: 2 });
+  assert.deepEqual(first.hazards.map(h => h.id), [5, 4]);
+  assert.equal(first.total, 5);
+  assert.ok(first.nextCursor);
+
+  assert.deepEqual(collect(hazards, { limit: 2 }), [5, 4, 3, 2, 1]);
+});
+
+test('hazards sharing a timestamp are ordered by id and not skipped', () => {
+  const hazards = [1, 2, 3, 4].map(id => hazard(id, 0));
+  assert.deepEqual(collect(hazards, { limit: 3 }), [4, 3, 2, 1]);
+});
+
+test('hazards reported between pages do not shift the following pages', () => {
+  const hazards = [1, 2, 3, 4, 5, 6].map(id => hazard(id, id));
+  let nextId = 100;
+
+  const ids = collect(hazards, { limit: 2 }, list => list.push(hazard(nextId++, 60)));
+
+  // The newest insert lands before the first page; later ones sort ahead of
+  // the cursor and stay out of the walk instead of repeating items
+  assert.deepEqual(ids, [100, 6, 5, 4, 3, 2, 1]);
+});
+
+test('an older hazard inserted past the cursor turns up on a later page', () => {
+  const hazards = [2, 4, 6, 8].map(id => hazard(id, id));
+
+  const first = pageHazards(hazards, { limit: 2 });
+  assert.deepEqual(first.hazards.map(h => h.id), [8, 6]);
+
+  hazards.push(hazard(3, 3), hazard(10, 10));
+  const second = pageHazards(hazards, { limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(second.hazards.map(h => h.id), [4, 3]);
+  assert.equal(second.total, 6);
+
+  const third = pageHazards(hazards, { limit: 2, cursor: second.nextCursor });
+  assert.deepEqual(third.hazards.map(h => h.id), [2]);
+  assert.equal(third.nextCursor, null);
+});
+
+test('the oldest and severity orders page the same way', () => {
+  const hazards = [
+    hazard(1, 1, { severity: 'low' }),
+    hazard(2, 2, { severity: 'high' }),
+    hazard(3, 3, { severity: 'medium' }),
+    hazard(4, 4, { severity: 'high' })
+  ];
+
+  assert.deepEqual(collect(hazards, { sort: 'oldest', limit: 1 }), [1, 2, 3, 4]);
+  assert.deepEqual(collect(hazards, { sort: 'severity', limit: 3 }), [4, 2, 3, 1]);
+});
+
+test('garbage cursors are rejected', () => {
+  const hazards = [hazard(1, 1)];
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  for (const cursor of ['not-a-cursor', encode('just a string'), encode({ k: 5 }), encode(null)]) {
+    assert.throws(() => pageHazards(hazards, { cursor }), invalidCursor);
+  }
+});
+
+test('a cursor edited by hand is rejected', () => {
+  const hazards = [1, 2, 3].map(id => hazard(id, id));
+  const { nextCursor } = pageHazards(hazards, { limit: 1 });
+  const decoded = JSON.parse(Buffer.from(nextCursor, 'base64url').toString('utf8'));
+
+  const forged = Buffer.from(JSON.stringify({ ...decoded, q: 'tampered' })).toString('base64url');
+  assert.throws(() => pageHazards(hazards, { limit: 1, cursor: forged }), invalidCursor);
+
+  const unsigned = Buffer.from(JSON.stringify({ k: decoded.k })).toString('base64url');
+  assert.throws(() => pageHazards(hazards, { limit: 1, cursor: unsigned }), invalidCursor);
+
+  for (const k of [[...decoded.k, 1], decoded.k.slice(1), [String(decoded.k[0]), decoded.k[1]], [null, decoded.k[1]]]) {
+    const edited = Buffer.from(JSON.stringify({ ...decoded, k })).toString('base64url');
+    assert.throws(() => pageHazards(hazards, { limit: 1, cursor: edited }), invalidCursor);
+  }
+});
+
+test('a cursor only works with the query that produced it', () => {
+  const hazards = [1, 2, 3].map(id => hazard(id, id));
+  const { nextCursor } = pageHazards(hazards, { limit: 1, type: ['pothole'] });
+
+  assert.throws(() => pageHazards(hazards, { limit: 1, cursor: nextCursor }), invalidCursor);
+  assert.throws(() => pageHazards(hazards, { limit: 1, sort: 'oldest', type: ['pothole'], cursor: nextCursor }), invalidCursor);
+
+  // A different page size is still the same query
+  const page = pageHazards(hazards, { limit: 5, type: ['pothole'], cursor: nextCursor });
+  assert.deepEqual(page.hazards.map(h => h.id), [2, 1]);
+});
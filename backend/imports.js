@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { schemas, validate } = require('./validation');
+
+// Bulk hazard imports from agency datasets. Each import runs as a job:
+// every row is validated first, then the valid ones go through the same
+// duplicate check as a device report, a chunk at a time so the server
+// keeps answering in between. An import that breaks while writing keeps
+// the rows it already wrote and says how many.
+//
+// Atomic imports are all or nothing. A merge into an existing hazard can't
+// be taken back, so they are refused if any row fails validation or would
+// merge into a hazard that is already there. The rows are then written in
+// one pass without yielding, and the hazards created so far are discarded
+// if a write fails.
+const IMPORT_STATUS = {
+  VALIDATING: 'validating',
+  IMPORTING: 'importing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+const FINISHED_STATUSES = [IMPORT_STATUS.COMPLETED, IMPORT_STATUS.FAILED];
+
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 50000;
+const CHUNK_SIZE = 500;
+// Only the first row errors are kept on the job; errorCount has the total
+const MAX_ROW_ERRORS = 1000;
+
+const REQUIRED_COLUMNS = ['type', 'severity', 'latitude', 'longitude'];
+
+const nextTurn = () => new Promise(resolve => setImmediate(resolve));
+
+// Minimal RFC 4180 reader: quoted cells may hold commas, doubled quotes and
+// line breaks. Returns each record's cells and the line it starts on.
+function readCsv(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    // Blank lines are skipped
+    if (cells.length > 1 || cells[0].trim() !== '') records.push({ line: recordLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ApiError(400, 'INVALID_CSV', `Unterminated quoted cell starting on line ${recordLine}`);
+  }
+  if (cell !== '' || cells.length > 0) endRecord();
+  return records;
+}
+
+// CSV with a header row naming at least the required columns. Rows are
+// numbered by their line in the file, the header being line 1.
+function csvRows(text) {
+  const [header, ...records] = readCsv(text);
+  if (!header) {
+    throw new ApiError(400, 'EMPTY_IMPORT', 'The CSV has no header row');
+  }
+
+  const columns = header.cells.map(name => name.trim());
+  const missing = REQUIRED_COLUMNS.find(name => !columns.includes(name));
+  if (missing) {
+    throw new ApiError(400, 'MISSING_COLUMN', `The CSV needs a ${missing} column`, missing);
+  }
+
+  return records.map(({ line, cells }) => {
+    const input = {};
+    columns.forEach((name, index) => {
+      const value = (cells[index] || '').trim();
+      if (value !== '') input[name] = value;
+    });
+    return { row: line, input };
+  });
+}
+
+// A FeatureCollection (or single Feature) of Points, with the hazard fields
+// in each feature's properties. Rows are numbered by feature index.
+function geoJsonRows(data) {
+  let features = null;
+  if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    features = data.features;
+  } else if (data && data.type === 'Feature') {
+    features = [data];
+  }
+  if (!features) {
+    throw new ApiError(400, 'INVALID_GEOJSON', 'Expected a GeoJSON FeatureCollection or Feature');
+  }
+
+  return features.map((feature, index) => {
+    const geometry = feature && feature.geometry;
+    if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+      return {
+        row: index,
+        error: { code: 'UNSUPPORTED_GEOMETRY', message: 'Only Point features can be imported', field: 'geometry' }
+      };
+    }
+    const [longitude, latitude] = geometry.coordinates;
+    return { row: index, input: { ...feature.properties, latitude, longitude } };
+  });
+}
+
+// Jobs in listings leave out their row errors
+function summaryView({ errors, ...job }) {
+  return job;
+}
+
+// `recordReport` takes a validated row plus source and importId, files it
+// like a device report without announcing it, and returns { hazard,
+// duplicate }. `onImported(job)` announces the import as a whole once it
+// stops writing, if it wrote anything. For atomic imports, `findExisting`
+// returns the hazard a row would merge into, if any, and `discard(ids)`
+// deletes hazards an import created.
+function createImports({ importStore, recordReport, onImported, findExisting, discard }) {
+  // Rows only live in memory, so a restart can't pick a job back up
+  importStore.find(job => !FINISHED_STATUSES.includes(job.status)).forEach(job => {
+    importStore.update(job.id, {
+      status: IMPORT_STATUS.FAILED,
+      error: { code: 'INTERRUPTED', message: 'The server restarted before the import finished' },
+      finishedAt: new Date()
+    });
+  });
+
+  async function run(jobId, rows, { source, atomic }) {
+    const progress = { total: rows.length, validated: 0, processed: 0, created: 0, merged: 0, failed: 0 };
+    const errors = [];
+    let errorCount = 0;
+    const save = (changes = {}) => importStore.update(jobId, { progress: { ...progress }, ...changes });
+    // Let the request that started the job get its response first
+    await nextTurn();
+
+    const reports = [];
+    for (const { row, input, error } of rows) {
+      const result = error ? { error } : validate(schemas.importHazardRow, input, { coerce: true });
+      if (result.error) {
+        errorCount++;
+        progress.failed++;
+        if (errors.length < MAX_ROW_ERRORS) errors.push({ row, ...result.error });
+      } else {
+        reports.push({ row, report: result.value });
+      }
+
+      if (++progress.validated % CHUNK_SIZE === 0) {
+        save();
+        await nextTurn();
+      }
+    }
+
+    if (atomic) {
+      return runAtomic(jobId, reports, { source, progress, errors, errorCount, save });
+    }
+    save({ status: IMPORT_STATUS.IMPORTING, errors, errorCount });
+
+    try {
+      for (const { report } of reports) {
+        const { duplicate } = recordReport({ ...report, source, importId: jobId });
+        if (duplicate) {
+          progress.merged++;
+        } else {
+          progress.created++;
+        }
+
+        if (++progress.processed % CHUNK_SIZE === 0) {
+          save();
+          await nextTurn();
+        }
+      }
+    } catch (error) {
+      const job = save({
+        status: IMPORT_STATUS.FAILED,
+        error: { code: 'IMPORT_FAILED', message: `${error.message}; the ${progress.processed} rows written before it were kept` },
+        finishedAt: new Date()
+      });
+      if (progress.processed > 0) onImported(job);
+      throw error;
+    }
+
+    const job = save({ status: IMPORT_STATUS.COMPLETED, finishedAt: new Date() });
+    if (progress.processed > 0) onImported(job);
+    return job;
+  }
+
+  // Checks and writes happen in the same turn, so no device report can
+  // land in between and nothing else sees a half-written import
+  function runAtomic(jobId, reports, { source, progress, errors, errorCount, save }) {
+    if (errorCount === 0) {
+      reports.forEach(({ row, report }) => {
+        const existing = findExisting(report);
+        if (!existing) return;
+        errorCount++;
+        progress.failed++;
+        if (errors.length < MAX_ROW_ERRORS) {
+          errors.push({ row, code: 'WOULD_MERGE', message: `Matches existing hazard ${existing.id}; atomic imports can't merge`, field: null });
+        }
+      });
+    }
+    if (errorCount > 0) {
+      return save({
+        status: IMPORT_STATUS.FAILED,
+        errors,
+        errorCount,
+        error: { code: 'INVALID_ROWS', message: `${errorCount} rows failed validation or match existing hazards, so nothing was imported` },
+        finishedAt: new Date()
+      });
+    }
+
+    const created = [];
+    try {
+      reports.forEach(({ report }) => {
+        const { hazard, duplicate } = recordReport({ ...report, source, importId: jobId });
+        if (duplicate) {
+          progress.merged++;
+        } else {
+          created.push(hazard.id);
+          progress.created++;
+        }
+        progress.processed++;
+      });
+    } catch (error) {
+      discard(created);
+      Object.assign(progress, { processed: 0, created: 0, merged: 0 });
+      save({
+        status: IMPORT_STATUS.FAILED,
+        errors,
+        errorCount,
+        error: { code: 'IMPORT_FAILED', message: `${error.message}; the import was rolled back` },
+        finishedAt: new Date()
+      });
+      throw error;
+    }
+
+    const job = save({ status: IMPORT_STATUS.COMPLETED, errors, errorCount, finishedAt: new Date() });
+    onImported(job);
+    return job;
+  }
+
+  // Queue parsed rows ({ row, input } or { row, error }) as a new job and
+  // return it; the work happens in the background
+  function start(rows, { format, source, atomic = false }) {
+    if (rows.length === 0) {
+      throw new ApiError(400, 'EMPTY_IMPORT', 'The file has no rows to import');
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+      throw new ApiError(413, 'TOO_MANY_ROWS', `Imports are limited to ${IMPORT_MAX_ROWS} rows`);
+    }
+
+    const job = importStore.insert({
+      id: `imp_${crypto.randomBytes(8).toString('hex')}`,
+      source,
+      format,
+      atomic,
+      status: IMPORT_STATUS.VALIDATING,
+      progress: { total: rows.length, validated: 0, processed: 0, created: 0, merged: 0, failed: 0 },
+      errors: [],
+      errorCount: 0,
+      error: null,
+      createdAt: new Date(),
+      finishedAt: null
+    });
+
+    run(job.id, rows, { source, atomic })
+      .then(({ status, progress, errorCount }) => {
+        if (status === IMPORT_STATUS.FAILED) {
+          console.log(`📥 Import ${job.id} from ${source} rejected: ${errorCount} invalid rows`);
+        } else {
+          console.log(`📥 Import ${job.id} from ${source} finished: ${progress.created} created, ${progress.merged} merged, ${errorCount} rejected`);
+        }
+      })
+      .catch(error => {
+        console.error(`❌ Import ${job.id} failed:`, error.message);
+        if (importStore.findById(job.id).status === IMPORT_STATUS.FAILED) return;
+        importStore.update(job.id, {
+          status: IMPORT_STATUS.FAILED,
+          error: { code: 'IMPORT_FAILED', message: error.message },
+          finishedAt: new Date()
+        });
+      });
+
+    return job;
+  }
+
+  return { start };
+}
+
+module.exports = { IMPORT_STATUS, IMPORT_MAX_ROWS, csvRows, geoJsonRows, summaryView, createImports };
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryStore = require('./storage/memoryStore');
+const { IMPORT_STATUS, csvRows, geoJsonRows, createImports } = require('./imports');
+
+// Job outcomes are logged; keep them out of the test report
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+test('CSV rows are numbered by line and keep quoted commas, quotes and line breaks', () => {
+  const csv = '﻿type,severity,latitude,longitude,note\r\n' +
+    'pothole,high,52.1,13.4,"left lane, near the ""bridge"""\r\n' +
+    '\n' +
+    'debris,low,52.2,13.5,"two\nlines"\n' +
+    'animal,medium,52.3,13.6,';
+
+  assert.deepEqual(csvRows(csv), [
+    { row: 2, input: { type: 'pothole', severity: 'high', latitude: '52.1', longitude: '13.4', note: 'left lane, near the "bridge"' } },
+    { row: 4, input: { type: 'debris', severity: 'low', latitude: '52.2', longitude: '13.5', note: 'two\nlines' } },
+    { row: 6, input: { type: 'animal', severity: 'medium', latitude: '52.3', longitude: '13.6' } }
+  ]);
+});
+
+test('CSV files without a required column or with an open quote are refused', () => {
+  assert.throws(() => csvRows('type,severity,latitude\npothole,high,52'), { code: 'MISSING_COLUMN', field: 'longitude' });
+  assert.throws(() => csvRows('type,severity,latitude,longitude\n"pothole,high,52,13'), { code: 'INVALID_CSV' });
+  assert.throws(() => csvRows(''), { code: 'EMPTY_IMPORT' });
+});
+
+test('GeoJSON points become rows and other geometries row errors', () => {
+  const rows = geoJsonRows({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [13.4, 52.1] }, properties: { type: 'pothole', severity: 'high' } },
+      { type: 'Feature', geometry: { type: 'LineString', coordinates: [[13.4, 52.1], [13.5, 52.2]] }, properties: {} }
+    ]
+  });
+  assert.deepEqual(rows[0], { row: 0, input: { type: 'pothole', severity: 'high', latitude: 52.1, longitude: 13.4 } });
+  assert.equal(rows[1].error.code, 'UNSUPPORTED_GEOMETRY');
+
+  assert.equal(geoJsonRows({ type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: {} }).length, 1);
+  assert.throws(() => geoJsonRows({ type: 'Polygon' }), { code: 'INVALID_GEOJSON' });
+});
+
+// Imports over an in-memory hazard list, with a duplicate check on exact
+// position and type
+function setup({ existing = [], failOn = null } = {}) {
+  const importStore = new MemoryStore('imports');
+  const hazards = new Map(existing.map((hazard, index) => [`h${index}`, { id: `h${index}`, ...hazard }]));
+  const announced = [];
+  const same = row => [...hazards.values()].find(h => h.latitude === row.latitude && h.longitude === row.longitude && h.type === row.type);
+
+  const imports = createImports({
+    importStore,
+    recordReport: (row) => {
+      if (failOn && row.latitude === failOn) throw new Error('disk full');
+      const duplicate = same(row);
+      if (duplicate) return { hazard: duplicate, duplicate: true };
+      const hazard = { id: `h${hazards.size}`, ...row };
+      hazards.set(hazard.id, hazard);
+      return { hazard, duplicate: false };
+    },
+    onImported: job => announced.push(job.id),
+    findExisting: same,
+    discard: ids => ids.forEach(id => hazards.delete(id))
+  });
+
+  const finished = async (job) => {
+    for (;;) {
+      const current = importStore.findById(job.id);
+      if (current.status === IMPORT_STATUS.COMPLETED || current.status === IMPORT_STATUS.FAILED) return current;
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  };
+  return { imports, hazards, announced, finished };
+}
+
+const row = (n, input) => ({ row: n, input: { type: 'pothole', severity: 'high', latitude: 52 + n / 100, longitude: 13.4, ...input } });
+
+test('invalid rows are reported by row and the rest are imported', async () => {
+  const { imports, hazards, announced, finished } = setup();
+  const job = await finished(imports.start([row(2), row(3, { severity: 'extreme' }), row(4), row(5, { latitude: 'north' })], { format: 'csv', source: 'city' }));
+
+  assert.equal(job.status, IMPORT_STATUS.COMPLETED);
+  assert.deepEqual(job.progress, { total: 4, validated: 4, processed: 2, created: 2, merged: 0, failed: 2 });
+  assert.deepEqual(job.errors.map(({ row: n, field }) => [n, field]), [[3, 'severity'], [5, 'latitude']]);
+  assert.equal(hazards.size, 2);
+  assert.deepEqual(announced, [job.id]);
+});
+
+test('an atomic import with an invalid row writes nothing', async () => {
+  const { imports, hazards, announced, finished } = setup();
+  const job = await finished(imports.start([row(2), row(3, { type: 'meteor' })], { format: 'csv', source: 'city', atomic: true }));
+
+  assert.equal(job.status, IMPORT_STATUS.FAILED);
+  assert.equal(job.error.code, 'INVALID_ROWS');
+  assert.equal(hazards.size, 0);
+  assert.deepEqual(announced, []);
+});
+
+test('an atomic import that would merge into an existing hazard is refused', async () => {
+  const { imports, hazards, finished } = setup({ existing: [{ type: 'pothole', latitude: 52.03, longitude: 13.4 }] });
+  const job = await finished(imports.start([row(2), row(3)], { format: 'csv', source: 'city', atomic: true }));
+
+  assert.equal(job.status, IMPORT_STATUS.FAILED);
+  assert.deepEqual(job.errors.map(error => [error.row, error.code]), [[3, 'WOULD_MERGE']]);
+  assert.equal(hazards.size, 1);
+});
+
+test('an atomic import that fails while writing is rolled back', async () => {
+  const { imports, hazards, announced, finished } = setup({ failOn: 52.04 });
+  const job = await finished(imports.start([row(2), row(3), row(4), row(5)], { format: 'csv', source: 'city', atomic: true }));
+
+  assert.equal(job.status, IMPORT_STATUS.FAILED);
+  assert.equal(job.error.code, 'IMPORT_FAILED');
+  assert.match(job.error.message, /rolled back/);
+  assert.equal(job.progress.created, 0);
+  assert.equal(hazards.size, 0);
+  assert.deepEqual(announced, []);
+});
+
+test('a non-atomic import that fails while writing keeps what it wrote', async () => {
+  const { imports, hazards, announced, finished } = setup({ failOn: 52.04 });
+  const job = await finished(imports.start([row(2), row(3), row(4), row(5)], { format: 'csv', source: 'city' }));
+
+  assert.equal(job.status, IMPORT_STATUS.FAILED);
+  assert.match(job.error.message, /2 rows written before it were kept/);
+  assert.equal(hazards.size, 2);
+  assert.deepEqual(announced, [job.id]);
+});
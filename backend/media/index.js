@@ -0,0 +1,32 @@
+const path = require('path');
+const LocalMediaStore = require('./localMediaStore');
+const S3MediaStore = require('./s3MediaStore');
+
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE || 'local';
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+
+// Uploaded media backend. MEDIA_STORAGE=s3 needs at least S3_BUCKET; set
+// S3_ENDPOINT and S3_FORCE_PATH_STYLE=true for MinIO-style servers.
+function createMediaStore() {
+  if (MEDIA_STORAGE === 'local') {
+    return new LocalMediaStore(UPLOADS_DIR);
+  }
+  if (MEDIA_STORAGE === 's3') {
+    if (!process.env.S3_BUCKET) {
+      throw new Error('MEDIA_STORAGE=s3 requires S3_BUCKET');
+    }
+    return new S3MediaStore({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX,
+      urlTtlSeconds: parseInt(process.env.S3_URL_TTL_SECONDS, 10) || 300
+    });
+  }
+  throw new Error(`Unknown MEDIA_STORAGE "${MEDIA_STORAGE}"`);
+}
+
+module.exports = { createMediaStore, LocalMediaStore, S3MediaStore, MEDIA_STORAGE, UPLOADS_DIR };
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+// Media kept on this instance's disk and streamed back by the /uploads route
+class LocalMediaStore {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+    fs.mkdirSync(this.rootDir, { recursive: true });
+  }
+
+  // Keys are relative paths like `<hash>.jpg` or `thumbs/<hash>.jpg`;
+  // anything escaping the root resolves to null
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    return filePath.startsWith(this.rootDir + path.sep) ? filePath : null;
+  }
+
+  async exists(key) {
+    const filePath = this.resolve(key);
+    return filePath !== null && fs.existsSync(filePath);
+  }
+
+  async putBuffer(key, data) {
+    const filePath = this.resolve(key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+  }
+
+  async putFile(key, sourcePath) {
+    const filePath = this.resolve(key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(sourcePath, filePath);
+  }
+
+  // Answer the request with the object, or resolve false if there is none
+  async serve(key, res) {
+    const filePath = this.resolve(key);
+    if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      return false;
+    }
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.sendFile(filePath);
+    return true;
+  }
+}
+
+module.exports = LocalMediaStore;
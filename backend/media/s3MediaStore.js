@@ -0,0 +1,72 @@
+const fs = require('fs');
+const { S3Client, HeadObjectCommand, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Media in an S3-compatible bucket (AWS, MinIO, ...). Reads are answered
+// with a redirect to a short-lived signed URL, so the bucket stays private.
+class S3MediaStore {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix, urlTtlSeconds }) {
+    this.bucket = bucket;
+    this.prefix = prefix || '';
+    this.urlTtlSeconds = urlTtlSeconds;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix + key;
+  }
+
+  async exists(key) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async putBuffer(key, data, contentType) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: data,
+      ContentType: contentType
+    }));
+  }
+
+  async putFile(key, sourcePath, contentType) {
+    const { size } = await fs.promises.stat(sourcePath);
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: fs.createReadStream(sourcePath),
+      ContentLength: size,
+      ContentType: contentType
+    }));
+  }
+
+  signedUrl(key) {
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }),
+      { expiresIn: this.urlTtlSeconds }
+    );
+  }
+
+  async serve(key, res) {
+    if (!(await this.exists(key))) return false;
+    res.set('Cache-Control', 'private, no-store');
+    res.redirect(302, await this.signedUrl(key));
+    return true;
+  }
+}
+
+module.exports = S3MediaStore;
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const S3MediaStore = require('./s3MediaStore');
+
+// Just enough of a MinIO-style, path-style S3 endpoint: objects live in a
+// Map keyed by "/bucket/key", and every request is recorded
+async function startStubS3() {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const { pathname } = new URL(req.url, 'http://stub');
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, path: pathname, headers: req.headers, body });
+
+      if (pathname.endsWith('/broken')) {
+        res.writeHead(500, { 'Content-Type': 'application/xml' });
+        return res.end('<Error><Code>InternalError</Code><Message>boom</Message></Error>');
+      }
+      if (req.method === 'PUT') {
+        objects.set(pathname, { body, contentType: req.headers['content-type'] });
+        res.writeHead(200, { ETag: '"stub"' });
+        return res.end();
+      }
+      const object = objects.get(pathname);
+      if (!object) {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+      res.end(req.method === 'HEAD' ? undefined : object.body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { objects, requests, server, endpoint: `http://127.0.0.1:${server.address().port}` };
+}
+
+function createStore(endpoint, options = {}) {
+  return new S3MediaStore({
+    bucket: 'hazards',
+    region: 'us-east-1',
+    endpoint,
+    accessKeyId: 'minio',
+    secretAccessKey: 'minio-secret',
+    forcePathStyle: true,
+    prefix: 'media/',
+    urlTtlSeconds: 300,
+    ...options
+  });
+}
+
+// The bits of an Express response serve() uses
+function fakeResponse() {
+  return {
+    headers: {},
+    set(name, value) { this.headers[name] = value; },
+    redirect(status, url) { this.redirected = { status, url }; }
+  };
+}
+
+// Object bodies the SDK sent, with any aws-chunked framing taken off
+function payloadOf(request) {
+  if (request.headers['content-encoding'] !== 'aws-chunked') return request.body;
+  const text = request.body.toString('latin1');
+  const parts = [];
+  let offset = 0;
+  for (;;) {
+    const lineEnd = text.indexOf('\r\n', offset);
+    const size = parseInt(text.slice(offset, lineEnd).split(';')[0], 16);
+    if (!size) break;
+    parts.push(request.body.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(parts);
+}
+
+test('S3 media store against a stub endpoint', async (t) => {
+  const stub = await startStubS3();
+  t.after(() => stub.server.close());
+  const store = createStore(stub.endpoint);
+
+  await t.test('putBuffer uploads under the prefix, path-style', async () => {
+    await store.putBuffer('abc.jpg', Buffer.from('jpeg bytes'), 'image/jpeg');
+
+    const put = stub.requests.at(-1);
+    assert.equal(put.method, 'PUT');
+    assert.equal(put.path, '/hazards/media/abc.jpg');
+    assert.equal(put.headers['content-type'], 'image/jpeg');
+    assert.match(put.headers.authorization, /^AWS4-HMAC-SHA256 Credential=minio\//);
+    assert.equal(payloadOf(put).toString(), 'jpeg bytes');
+  });
+
+  await t.test('putFile streams the file with its length', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 's3-media-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'thumb.jpg');
+    fs.writeFileSync(file, Buffer.alloc(2048, 7));
+
+    await store.putFile('thumbs/abc.jpg', file, 'image/jpeg');
+
+    const put = stub.requests.at(-1);
+    assert.equal(put.path, '/hazards/media/thumbs/abc.jpg');
+    assert.deepEqual(payloadOf(put), Buffer.alloc(2048, 7));
+  });
+
+  await t.test('exists asks with HEAD and reads a 404 as missing', async () => {
+    assert.equal(await store.exists('abc.jpg'), true);
+    assert.equal(stub.requests.at(-1).method, 'HEAD');
+    assert.equal(stub.requests.at(-1).path, '/hazards/media/abc.jpg');
+
+    assert.equal(await store.exists('nope.jpg'), false);
+  });
+
+  await t.test('other endpoint errors are not mistaken for a missing object', async () => {
+    await assert.rejects(store.exists('broken'), error => error.$metadata.httpStatusCode === 500);
+  });
+
+  await t.test('serve redirects to a signed URL on the endpoint', async () => {
+    const res = fakeResponse();
+    assert.equal(await store.serve('abc.jpg', res), true);
+
+    assert.equal(res.headers['Cache-Control'], 'private, no-store');
+    assert.equal(res.redirected.status, 302);
+    const url = new URL(res.redirected.url);
+    assert.equal(url.origin, stub.endpoint);
+    assert.equal(url.pathname, '/hazards/media/abc.jpg');
+    assert.equal(url.searchParams.get('X-Amz-Expires'), '300');
+    assert.match(url.searchParams.get('X-Amz-Credential'), /^minio\//);
+    assert.ok(url.searchParams.get('X-Amz-Signature'));
+
+    // The signed URL fetches the object
+    const fetched = await fetch(url);
+    assert.equal(fetched.status, 200);
+    assert.equal(await fetched.text(), 'jpeg bytes');
+  });
+
+  await t.test('serve leaves missing objects to the caller', async () => {
+    const res = fakeResponse();
+    assert.equal(await store.serve('nope.jpg', res), false);
+    assert.equal(res.redirected, undefined);
+  });
+
+  await t.test('without a prefix keys are used as they are', async () => {
+    const bare = createStore(stub.endpoint, { prefix: undefined });
+    await bare.putBuffer('abc.jpg', Buffer.from('x'), 'image/jpeg');
+    assert.equal(stub.requests.at(-1).path, '/hazards/abc.jpg');
+  });
+});
@@ -0,0 +1,109 @@
+const { sendError } = require('./errors');
+
+// Budgets per route / socket event, counted in fixed windows separately for
+// each device and each IP. Override any of them with e.g.
+// RATE_LIMITS='{"report":{"perDevice":20},"update_location":{"windowMs":30000}}'
+const DEFAULT_LIMITS = {
+  register: { windowMs: 60 * 60 * 1000, perDevice: null, perIp: 20 },
+  report: { windowMs: 60 * 1000, perDevice: 10, perIp: 30 },
+  resolve: { windowMs: 60 * 1000, perDevice: 10, perIp: 30 },
+  feedback: { windowMs: 60 * 1000, perDevice: 20, perIp: 60 },
+  upload: { windowMs: 60 * 1000, perDevice: 10, perIp: 20 },
+  connection: { windowMs: 60 * 1000, perDevice: 10, perIp: 30 },
+  register_location: { windowMs: 60 * 1000, perDevice: 6, perIp: 60 },
+  update_location: { windowMs: 60 * 1000, perDevice: 30, perIp: 300 },
+  set_route: { windowMs: 60 * 1000, perDevice: 6, perIp: 60 },
+  alert_feedback: { windowMs: 60 * 1000, perDevice: 30, perIp: 300 },
+  subscriptions: { windowMs: 60 * 1000, perDevice: 20, perIp: 60 },
+  export: { windowMs: 60 * 1000, perDevice: null, perIp: 10 },
+  analytics: { windowMs: 60 * 1000, perDevice: null, perIp: 30 }
+};
+
+function loadLimits() {
+  const limits = { ...DEFAULT_LIMITS };
+  if (!process.env.RATE_LIMITS) return limits;
+
+  try {
+    Object.entries(JSON.parse(process.env.RATE_LIMITS)).forEach(([bucket, overrides]) => {
+      limits[bucket] = { ...DEFAULT_LIMITS[bucket], ...overrides };
+    });
+  } catch (error) {
+    console.error('❌ Ignoring invalid RATE_LIMITS:', error.message);
+  }
+  return limits;
+}
+
+class RateLimiter {
+  constructor(limits = loadLimits()) {
+    this.limits = limits;
+    this.windows = new Map();
+
+    setInterval(() => this.sweep(), 60 * 1000).unref();
+  }
+
+  // Count one hit for every scope we know about. Returns
+  // { allowed: true } or { allowed: false, retryAfter (seconds), scope }.
+  hit(bucket, { deviceId, ip }) {
+    const limit = this.limits[bucket];
+    if (!limit) return { allowed: true };
+
+    const now = Date.now();
+    const scopes = [
+      ['device', deviceId, limit.perDevice],
+      ['ip', ip, limit.perIp]
+    ].filter(([, id, max]) => id && max != null);
+
+    let denied = null;
+    scopes.forEach(([scope, id, max]) => {
+      const key = `${bucket}:${scope}:${id}`;
+      let window = this.windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + limit.windowMs };
+        this.windows.set(key, window);
+      }
+      window.count++;
+
+      if (window.count > max) {
+        this.logExcess(bucket, scope, id, window.count, max);
+        const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+        if (!denied || retryAfter > denied.retryAfter) {
+          denied = { allowed: false, retryAfter, scope };
+        }
+      }
+    });
+
+    return denied || { allowed: true };
+  }
+
+  // Log the first rejection in a window, then every time the excess doubles
+  logExcess(bucket, scope, id, count, max) {
+    const over = count - max;
+    if (over === 1) {
+      console.warn(`🚫 Rate limit hit: ${bucket} by ${scope} ${id} (${max} allowed)`);
+    } else if ((over & (over - 1)) === 0) {
+      console.warn(`🚨 Request spike: ${bucket} by ${scope} ${id} - ${count} attempts against a limit of ${max}`);
+    }
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, window] of this.windows.entries()) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+// Express middleware for one bucket. Put it after requireDevice so
+// authenticated routes are also counted per device.
+function rateLimit(limiter, bucket) {
+  return (req, res, next) => {
+    const result = limiter.hit(bucket, { deviceId: req.deviceId, ip: req.ip });
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return sendError(res, 429, 'RATE_LIMITED', `Too many requests, try again in ${result.retryAfter}s`);
+    }
+    next();
+  };
+}
+
+module.exports = { DEFAULT_LIMITS, RateLimiter, rateLimit };
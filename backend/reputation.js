@@ -0,0 +1,92 @@
+const { STATUS } = require('./hazardLifecycle');
+
+// Reputation is a smoothed ratio of good to bad outcomes for a device's
+// reports, in [0, 1]. New devices start at 0.5.
+const PRIOR_GOOD = 1;
+const PRIOR_BAD = 1;
+
+// Devices below this score have their reports held as pending
+const PENDING_BELOW = parseFloat(process.env.REPUTATION_PENDING_BELOW) || 0.3;
+
+const EMPTY_STATS = { corroborated: 0, resolved: 0, disputed: 0, expired: 0 };
+
+function scoreFor(stats) {
+  const good = stats.corroborated + stats.resolved;
+  const bad = stats.disputed + stats.expired;
+  return (good + PRIOR_GOOD) / (good + bad + PRIOR_GOOD + PRIOR_BAD);
+}
+
+// Neutral devices keep their confidence, trusted ones get up to 1.5x
+function trustWeight(score) {
+  return 0.5 + score;
+}
+
+function createReputation(deviceStore) {
+  function statsOf(deviceId) {
+    const device = deviceStore.findById(deviceId);
+    return { ...EMPTY_STATS, ...(device && device.reputation) };
+  }
+
+  function scoreOf(deviceId) {
+    return scoreFor(statsOf(deviceId));
+  }
+
+  function record(deviceIds, outcome) {
+    new Set(deviceIds).forEach(deviceId => {
+      if (!deviceStore.findById(deviceId)) return;
+      const stats = statsOf(deviceId);
+      stats[outcome]++;
+      deviceStore.update(deviceId, { reputation: { ...stats, score: scoreFor(stats) } });
+    });
+  }
+
+  function summary(deviceId) {
+    const stats = statsOf(deviceId);
+    const score = scoreFor(stats);
+    return {
+      deviceId,
+      score: Math.round(score * 1000) / 1000,
+      trustWeight: Math.round(trustWeight(score) * 1000) / 1000,
+      requiresConfirmation: score < PENDING_BELOW,
+      reportsCorroborated: stats.corroborated,
+      reportsResolved: stats.resolved,
+      reportsDisputed: stats.disputed,
+      reportsExpired: stats.expired
+    };
+  }
+
+  return {
+    scoreOf,
+    summary,
+
+    weightConfidence(deviceId, confidence) {
+      return Math.min(100, Math.round(confidence * trustWeight(scoreOf(deviceId))));
+    },
+
+    requiresConfirmation(deviceId) {
+      return scoreOf(deviceId) < PENDING_BELOW;
+    },
+
+    // Credit or penalise a hazard's reporters for a status transition. Only
+    // a resolve seen on site by another device earns resolution credit, not
+    // a moderator closing the hazard or a reporter clearing their own.
+    applyTransition(hazard, { from, to, actor, forced = false }) {
+      const reporters = hazard.reporters || [];
+      const wasConfirmed = (hazard.transitions || []).some(t => t.to === STATUS.CONFIRMED);
+
+      if (to === STATUS.CONFIRMED) {
+        record(reporters, 'corroborated');
+      } else if (to === STATUS.RESOLVED) {
+        if (!forced && !reporters.includes(actor)) record(reporters, 'resolved');
+      } else if (to === STATUS.DISPUTED) {
+        record(reporters, 'disputed');
+      } else if (to === STATUS.EXPIRED && !wasConfirmed) {
+        record(reporters, 'expired');
+      } else if (from === STATUS.PENDING && to === STATUS.REPORTED) {
+        record(reporters.slice(0, 1), 'corroborated');
+      }
+    }
+  };
+}
+
+module.exports = { createReputation, scoreFor, trustWeight, PENDING_BELOW };
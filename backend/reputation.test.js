@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryStore = require('./storage/memoryStore');
+const lifecycle = require('./hazardLifecycle');
+const { createReputation, scoreFor } = require('./reputation');
+
+const { STATUS } = lifecycle;
+
+function setup(deviceIds = ['dev_a', 'dev_b', 'dev_c']) {
+  const devices = new MemoryStore('devices');
+  deviceIds.forEach(id => devices.insert({ id }));
+  return createReputation(devices);
+}
+
+const reported = (reporters) => ({ id: 1, type: 'pothole', status: STATUS.REPORTED, reporters, transitions: [] });
+
+// Apply a lifecycle transition the way the server does: save it, then let
+// reputation see the hazard with it and the transition itself
+function apply(reputation, hazard, to, actor, options) {
+  const updated = { ...hazard, ...lifecycle.transition(hazard, to, actor, null, options) };
+  reputation.applyTransition(updated, updated.transitions[updated.transitions.length - 1]);
+  return updated;
+}
+
+test('new devices start neutral', () => {
+  const reputation = setup();
+  assert.equal(reputation.scoreOf('dev_a'), 0.5);
+  assert.equal(reputation.summary('dev_a').trustWeight, 1);
+  assert.equal(reputation.weightConfidence('dev_a', 80), 80);
+  assert.equal(reputation.requiresConfirmation('dev_a'), false);
+});
+
+test('scores are the smoothed share of good outcomes', () => {
+  assert.equal(scoreFor({ corroborated: 0, resolved: 0, disputed: 0, expired: 0 }), 0.5);
+  assert.equal(scoreFor({ corroborated: 2, resolved: 1, disputed: 0, expired: 0 }), 0.8);
+  assert.equal(scoreFor({ corroborated: 0, resolved: 0, disputed: 1, expired: 2 }), 0.2);
+});
+
+test('confirmation credits every reporter', () => {
+  const reputation = setup();
+  apply(reputation, reported(['dev_a', 'dev_b']), STATUS.CONFIRMED, 'dev_c');
+
+  assert.equal(reputation.summary('dev_a').reportsCorroborated, 1);
+  assert.equal(reputation.summary('dev_b').reportsCorroborated, 1);
+  assert.equal(reputation.scoreOf('dev_a'), 2 / 3);
+  assert.equal(reputation.summary('dev_c').reportsCorroborated, 0);
+});
+
+test('a resolve by another device credits the reporters', () => {
+  const reputation = setup();
+  apply(reputation, reported(['dev_a']), STATUS.RESOLVED, 'dev_b');
+
+  assert.equal(reputation.summary('dev_a').reportsResolved, 1);
+  assert.equal(reputation.scoreOf('dev_a'), 2 / 3);
+});
+
+test('reporters resolving their own hazard earn nothing', () => {
+  const reputation = setup();
+  apply(reputation, reported(['dev_a', 'dev_b']), STATUS.RESOLVED, 'dev_a');
+
+  assert.equal(reputation.summary('dev_a').reportsResolved, 0);
+  assert.equal(reputation.summary('dev_b').reportsResolved, 0);
+});
+
+test('a moderator resolving a hazard earns the reporters nothing', () => {
+  const reputation = setup();
+  const resolved = apply(reputation, reported(['dev_a']), STATUS.RESOLVED, 'admin:sam', { forced: true });
+
+  assert.equal(resolved.transitions[0].forced, true);
+  assert.equal(reputation.summary('dev_a').reportsResolved, 0);
+  assert.equal(reputation.scoreOf('dev_a'), 0.5);
+
+  // Nor does reopening it and resolving it again
+  const reopened = apply(reputation, resolved, STATUS.REOPENED, 'admin:sam', { forced: true });
+  apply(reputation, { ...reopened, reporters: ['dev_a'] }, STATUS.RESOLVED, 'admin:sam', { forced: true });
+  assert.equal(reputation.scoreOf('dev_a'), 0.5);
+});
+
+test('disputes and unconfirmed expiries count against the reporters', () => {
+  const reputation = setup();
+  apply(reputation, reported(['dev_a']), STATUS.DISPUTED, 'dev_b');
+  apply(reputation, reported(['dev_a']), STATUS.EXPIRED, 'system');
+
+  const summary = reputation.summary('dev_a');
+  assert.equal(summary.reportsDisputed, 1);
+  assert.equal(summary.reportsExpired, 1);
+  assert.equal(reputation.scoreOf('dev_a'), 0.25);
+  assert.equal(reputation.requiresConfirmation('dev_a'), true);
+  assert.equal(reputation.weightConfidence('dev_a', 80), 60);
+});
+
+test('a confirmed hazard expiring is not held against anyone', () => {
+  const reputation = setup();
+  const confirmed = apply(reputation, reported(['dev_a']), STATUS.CONFIRMED, 'dev_b');
+  apply(reputation, confirmed, STATUS.EXPIRED, 'system');
+
+  assert.equal(reputation.summary('dev_a').reportsExpired, 0);
+  assert.equal(reputation.summary('dev_a').reportsCorroborated, 1);
+});
+
+test('approving a pending report credits only its first reporter', () => {
+  const reputation = setup();
+  const pending = { ...reported(['dev_a', 'dev_b']), status: STATUS.PENDING };
+  apply(reputation, pending, STATUS.REPORTED, 'dev_c');
+
+  assert.equal(reputation.summary('dev_a').reportsCorroborated, 1);
+  assert.equal(reputation.summary('dev_b').reportsCorroborated, 0);
+});
+
+test('unknown devices and repeated reporters are skipped safely', () => {
+  const reputation = setup(['dev_a']);
+  apply(reputation, reported(['dev_a', 'dev_a', 'dev_gone']), STATUS.CONFIRMED, 'dev_b');
+
+  assert.equal(reputation.summary('dev_a').reportsCorroborated, 1);
+  assert.equal(reputation.scoreOf('dev_gone'), 0.5);
+});
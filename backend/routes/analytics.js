@@ -0,0 +1,47 @@
+const express = require('express');
+const { sendError } = require('../errors');
+const { schemas, validateRequest } = require('../validation');
+const { rateLimit } = require('../rateLimit');
+const { hazardFilter } = require('../hazardQuery');
+const { MAX_BUCKETS, trends, hotspots, resolutionTimes, reporterStats } = require('../analytics');
+
+// Read-only aggregates over the hazard store. Every endpoint takes the same
+// filters as the hazard listing (status, bbox, type, severity, from, to,
+// reporter, minConfidence).
+function createAnalyticsRouter({ hazardStore, limiter }) {
+  const router = express.Router();
+  router.use(rateLimit(limiter, 'analytics'));
+
+  const matching = (query) => hazardStore.iterate(hazardFilter(query));
+
+  // Reported hazards per hour, day, week or month
+  router.get('/trends', validateRequest('query', schemas.trendsQuery), (req, res) => {
+    const interval = req.query.interval || 'day';
+    const buckets = trends(matching(req.query), { ...req.query, interval });
+    if (!buckets) {
+      return sendError(res, 400, 'TOO_MANY_BUCKETS', `Narrow the date range or use a longer interval (at most ${MAX_BUCKETS} ${interval}s)`, 'interval');
+    }
+    res.json({ interval, buckets });
+  });
+
+  // Geohash cells producing the most hazards
+  router.get('/hotspots', validateRequest('query', schemas.hotspotsQuery), (req, res) => {
+    const precision = req.query.precision || 6;
+    res.json({ precision, cells: hotspots(matching(req.query), { ...req.query, precision }) });
+  });
+
+  // Mean and median time from report to resolution, per type and area
+  router.get('/resolution', validateRequest('query', schemas.resolutionQuery), (req, res) => {
+    const precision = req.query.precision || 5;
+    res.json({ precision, ...resolutionTimes(matching(req.query), { precision }) });
+  });
+
+  // Contributions per reporting device or import source
+  router.get('/reporters', validateRequest('query', schemas.reportersQuery), (req, res) => {
+    res.json(reporterStats(matching(req.query), req.query));
+  });
+
+  return router;
+}
+
+module.exports = createAnalyticsRouter;
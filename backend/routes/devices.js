@@ -0,0 +1,34 @@
+const express = require('express');
+const crypto = require('crypto');
+const { issueToken } = require('../auth');
+const { sendError } = require('../errors');
+const { schemas, validateRequest } = require('../validation');
+const { rateLimit } = require('../rateLimit');
+
+function createDevicesRouter({ deviceStore, reputation, limiter }) {
+  const router = express.Router();
+
+  // Register a new device and hand out its signed token
+  router.post('/register', rateLimit(limiter, 'register'), validateRequest('body', schemas.registerDevice), (req, res) => {
+    const device = deviceStore.insert({
+      id: `dev_${crypto.randomBytes(12).toString('hex')}`,
+      label: req.body.label || null,
+      platform: req.body.platform || null,
+      registeredAt: new Date()
+    });
+
+    console.log('📱 Device registered:', device.id);
+    res.status(201).json({ success: true, deviceId: device.id, token: issueToken(device.id) });
+  });
+
+  router.get('/:id/reputation', (req, res) => {
+    if (!deviceStore.findById(req.params.id)) {
+      return sendError(res, 404, 'DEVICE_NOT_FOUND', 'Device not found', 'id');
+    }
+    res.json(reputation.summary(req.params.id));
+  });
+
+  return router;
+}
+
+module.exports = createDevicesRouter;
@@ -0,0 +1,69 @@
+const express = require('express');
+const { sendError } = require('../errors');
+const { schemas, validateRequest } = require('../validation');
+const { csvRows, geoJsonRows, summaryView } = require('../imports');
+
+const IMPORT_MAX_BYTES = parseInt(process.env.IMPORT_MAX_BYTES, 10) || 20 * 1024 * 1024;
+
+// Small application/json bodies are already parsed by the app-wide JSON
+// parser; large GeoJSON files should be sent as application/geo+json
+const readImportBody = express.text({ type: ['text/csv', 'application/geo+json'], limit: IMPORT_MAX_BYTES });
+
+function parseRows(req) {
+  if (req.is('text/csv')) {
+    return { format: 'csv', rows: csvRows(req.body) };
+  }
+  if (req.is('application/geo+json')) {
+    let data;
+    try {
+      data = JSON.parse(req.body);
+    } catch (error) {
+      return { error: { code: 'INVALID_JSON', message: 'Request body is not valid JSON' } };
+    }
+    return { format: 'geojson', rows: geoJsonRows(data) };
+  }
+  if (req.is('application/json')) {
+    return { format: 'geojson', rows: geoJsonRows(req.body) };
+  }
+  return { error: { code: 'UNSUPPORTED_MEDIA_TYPE', message: 'Send text/csv or application/geo+json', status: 415 } };
+}
+
+// Admin-only: mounted behind requireAdmin
+function createImportsRouter({ importStore, imports }) {
+  const router = express.Router();
+
+  // Start an import of a CSV or GeoJSON file tagged with ?source=. Answers
+  // 202 with the job to poll. Rows already written stay if the import fails
+  // later on, except with ?atomic=true: that imports nothing unless every
+  // row is valid and none would merge into an existing hazard.
+  router.post('/', readImportBody, validateRequest('query', schemas.importQuery), (req, res) => {
+    const { source, atomic } = req.query;
+
+    const { format, rows, error } = parseRows(req);
+    if (error) {
+      return sendError(res, error.status || 400, error.code, error.message);
+    }
+
+    const job = imports.start(rows, { format, source, atomic });
+    console.log(`📥 Import ${job.id} started: ${rows.length} ${format} rows from ${source}`);
+    res.status(202).location(`${req.baseUrl}/${job.id}`).json({ success: true, import: summaryView(job) });
+  });
+
+  router.get('/', (req, res) => {
+    const jobs = importStore.find().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    res.json({ imports: jobs.map(summaryView) });
+  });
+
+  // Progress while it runs; the summary and row errors once it is done
+  router.get('/:id', (req, res) => {
+    const job = importStore.findById(req.params.id);
+    if (!job) {
+      return sendError(res, 404, 'IMPORT_NOT_FOUND', 'Import not found', 'id');
+    }
+    res.json({ import: job });
+  });
+
+  return router;
+}
+
+module.exports = createImportsRouter;
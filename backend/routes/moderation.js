@@ -0,0 +1,184 @@
+const express = require('express');
+const { sendError } = require('../errors');
+const { schemas, validateRequest } = require('../validation');
+const { STATUS, canTransition } = require('../hazardLifecycle');
+const { pageHazards } = require('../hazardQuery');
+
+const QUEUES = {
+  flagged: hazard => hazard.status === STATUS.DISPUTED || (hazard.disputedBy || []).length > 0,
+  disputed: hazard => hazard.status === STATUS.DISPUTED,
+  all: () => true
+};
+
+const EDITABLE_FIELDS = ['type', 'severity', 'latitude', 'longitude'];
+
+// Admin-only: mounted behind requireAdmin. `moderation` holds the server's
+// hazard and device operations; this router checks, calls and audits them.
+function createModerationRouter({ hazardStore, deviceStore, auditLog, reputation, moderation }) {
+  const router = express.Router();
+
+  // Sends the 404 and returns null when the hazard doesn't exist
+  function findHazard(req, res) {
+    const hazard = hazardStore.findById(Number(req.params.id));
+    if (!hazard) {
+      sendError(res, 404, 'HAZARD_NOT_FOUND', 'Hazard not found', 'id');
+    }
+    return hazard;
+  }
+
+  function findDevice(req, res) {
+    const device = deviceStore.findById(req.params.id);
+    if (!device) {
+      sendError(res, 404, 'DEVICE_NOT_FOUND', 'Device not found', 'id');
+    }
+    return device;
+  }
+
+  // Review queue, paged like the public hazard listing. Pending reports
+  // only show up with status=pending.
+  router.get('/hazards', validateRequest('query', schemas.moderationQueue), (req, res) => {
+    const { sort, latitude, longitude } = req.query;
+    if (sort === 'distance' && (latitude == null || longitude == null)) {
+      return sendError(res, 400, 'MISSING_FIELD', 'latitude and longitude are required to sort by distance',
+        latitude == null ? 'latitude' : 'longitude');
+    }
+
+    const queue = req.query.queue || 'flagged';
+    res.json({ queue, ...pageHazards(hazardStore.iterate(QUEUES[queue]), req.query) });
+  });
+
+  router.patch('/hazards/:id', validateRequest('body', schemas.moderateHazard), (req, res) => {
+    const hazard = findHazard(req, res);
+    if (!hazard) return;
+
+    const { reason, ...fields } = req.body;
+    if ((fields.latitude == null) !== (fields.longitude == null)) {
+      return sendError(res, 400, 'MISSING_FIELD', 'latitude and longitude must be changed together',
+        fields.latitude == null ? 'latitude' : 'longitude');
+    }
+
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (fields[field] !== undefined && fields[field] !== hazard[field]) changes[field] = fields[field];
+    });
+    if (Object.keys(changes).length === 0) {
+      return sendError(res, 400, 'NO_CHANGES', `Send at least one changed field of: ${EDITABLE_FIELDS.join(', ')}`);
+    }
+
+    const before = {};
+    Object.keys(changes).forEach(field => { before[field] = hazard[field]; });
+    const updated = moderation.editHazard(hazard, changes, req.adminUser, reason);
+
+    auditLog.record({ actor: req.adminUser, action: 'hazard.edit', targetType: 'hazard', targetId: hazard.id, reason, before, after: changes });
+    res.json({ success: true, hazard: updated });
+  });
+
+  // Force-resolve or reopen, wherever the admin happens to be
+  [['resolve', STATUS.RESOLVED], ['reopen', STATUS.REOPENED]].forEach(([action, to]) => {
+    router.post(`/hazards/:id/${action}`, validateRequest('body', schemas.moderationAction), (req, res) => {
+      const hazard = findHazard(req, res);
+      if (!hazard) return;
+
+      if (!canTransition(hazard.status, to)) {
+        return sendError(res, 409, 'INVALID_TRANSITION', `A ${hazard.status} hazard cannot be moved to ${to}`, 'id');
+      }
+
+      const { reason } = req.body;
+      const updated = moderation.forceStatus(hazard, to, req.adminUser, reason || null);
+
+      auditLog.record({
+        actor: req.adminUser,
+        action: `hazard.${action}`,
+        targetType: 'hazard',
+        targetId: hazard.id,
+        reason,
+        before: { status: hazard.status },
+        after: { status: updated.status }
+      });
+      res.json({ success: true, hazard: updated });
+    });
+  });
+
+  router.post('/hazards/:id/hide-images', validateRequest('body', schemas.moderationAction), (req, res) => {
+    const hazard = findHazard(req, res);
+    if (!hazard) return;
+
+    const { hazard: updated, hidden } = moderation.hideHazardImages(hazard, req.adminUser, req.body.reason);
+
+    auditLog.record({
+      actor: req.adminUser,
+      action: 'hazard.hide_images',
+      targetType: 'hazard',
+      targetId: hazard.id,
+      reason: req.body.reason,
+      before: { images: hidden },
+      after: { images: [] }
+    });
+    res.json({ success: true, hazard: updated, hidden });
+  });
+
+  // The full record goes to the audit log, so nothing is lost for good
+  router.delete('/hazards/:id', validateRequest('body', schemas.moderationAction), (req, res) => {
+    const hazard = findHazard(req, res);
+    if (!hazard) return;
+
+    moderation.removeHazard(hazard, req.adminUser, req.body.reason);
+
+    auditLog.record({ actor: req.adminUser, action: 'hazard.delete', targetType: 'hazard', targetId: hazard.id, reason: req.body.reason, before: hazard });
+    res.json({ success: true });
+  });
+
+  router.get('/devices', validateRequest('query', schemas.deviceListQuery), (req, res) => {
+    const { blocked, limit } = req.query;
+    const devices = deviceStore
+      .find(device => blocked === undefined || Boolean(device.blocked) === blocked)
+      .sort((a, b) => new Date(b.blockedAt || b.registeredAt) - new Date(a.blockedAt || a.registeredAt));
+
+    res.json({
+      devices: devices.slice(0, limit || 100).map(device => ({
+        id: device.id,
+        label: device.label,
+        platform: device.platform,
+        registeredAt: device.registeredAt,
+        blocked: Boolean(device.blocked),
+        blockedAt: device.blockedAt || null,
+        blockedReason: device.blockedReason || null,
+        reputation: reputation.summary(device.id)
+      })),
+      total: devices.length
+    });
+  });
+
+  [['block', true], ['unblock', false]].forEach(([action, blocked]) => {
+    router.post(`/devices/:id/${action}`, validateRequest('body', schemas.moderationAction), (req, res) => {
+      const device = findDevice(req, res);
+      if (!device) return;
+
+      if (Boolean(device.blocked) === blocked) {
+        return sendError(res, 409, blocked ? 'ALREADY_BLOCKED' : 'NOT_BLOCKED', `Device is ${blocked ? 'already' : 'not'} blocked`, 'id');
+      }
+
+      const { reason } = req.body;
+      moderation.setDeviceBlocked(device, blocked, reason);
+
+      auditLog.record({
+        actor: req.adminUser,
+        action: `device.${action}`,
+        targetType: 'device',
+        targetId: device.id,
+        reason,
+        before: { blocked: !blocked },
+        after: { blocked }
+      });
+      res.json({ success: true });
+    });
+  });
+
+  router.get('/audit', validateRequest('query', schemas.auditQuery), (req, res) => {
+    res.json(auditLog.list(req.query));
+  });
+
+  return router;
+}
+
+module.exports = createModerationRouter;
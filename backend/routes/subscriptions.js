@@ -0,0 +1,73 @@
+const express = require('express');
+const { sendError } = require('../errors');
+const { schemas, validateRequest } = require('../validation');
+const { rateLimit } = require('../rateLimit');
+const { areaFrom } = require('../geofence');
+const { isWebhookUrl, isPublicWebhookUrl } = require('../webhooks');
+
+function createSubscriptionsRouter({ subscriptions, requireRegisteredDevice, limiter }) {
+  const router = express.Router();
+  router.use(requireRegisteredDevice);
+
+  // Watch a circle or polygon for hazards, optionally filtered by type and
+  // severity. The webhook secret is only ever returned here.
+  router.post('/', rateLimit(limiter, 'subscriptions'), validateRequest('body', schemas.createSubscription), (req, res, next) => {
+    const { name, types, severities, webhookUrl } = req.body;
+    const { deviceId } = req;
+
+    const { area, error } = areaFrom(req.body);
+    if (error) {
+      return sendError(res, 400, error.code, error.message, error.field);
+    }
+    if (webhookUrl && !isWebhookUrl(webhookUrl)) {
+      return sendError(res, 400, 'INVALID_FIELD', 'webhookUrl must be an http(s) URL', 'webhookUrl');
+    }
+    if (subscriptions.listFor(deviceId).length >= subscriptions.MAX_PER_DEVICE) {
+      return sendError(res, 409, 'TOO_MANY_SUBSCRIPTIONS', `A device can have at most ${subscriptions.MAX_PER_DEVICE} subscriptions`);
+    }
+
+    (webhookUrl ? isPublicWebhookUrl(webhookUrl) : Promise.resolve(true))
+      .then((isPublic) => {
+        if (!isPublic) {
+          return sendError(res, 400, 'INVALID_FIELD', 'webhookUrl must resolve to a public address', 'webhookUrl');
+        }
+
+        const subscription = subscriptions.create(deviceId, { name, area, types, severities, webhookUrl });
+        console.log(`🗺️  Subscription ${subscription.id} (${area.shape}) created by ${deviceId}`);
+
+        res.status(201).json({
+          success: true,
+          subscription: subscriptions.publicView(subscription),
+          webhookSecret: subscription.secret
+        });
+      })
+      .catch(next);
+  });
+
+  router.get('/', (req, res) => {
+    res.json({ subscriptions: subscriptions.listFor(req.deviceId).map(subscriptions.publicView) });
+  });
+
+  router.get('/:id', (req, res) => {
+    const subscription = subscriptions.findFor(req.deviceId, req.params.id);
+    if (!subscription) {
+      return sendError(res, 404, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 'id');
+    }
+    res.json({ subscription: subscriptions.publicView(subscription) });
+  });
+
+  router.delete('/:id', rateLimit(limiter, 'subscriptions'), (req, res) => {
+    const subscription = subscriptions.findFor(req.deviceId, req.params.id);
+    if (!subscription) {
+      return sendError(res, 404, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found', 'id');
+    }
+
+    subscriptions.remove(subscription);
+    console.log(`🗺️  Subscription ${subscription.id} deleted`);
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = createSubscriptionsRouter;
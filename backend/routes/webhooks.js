@@ -0,0 +1,97 @@
+const express = require('express');
+const crypto = require('crypto');
+const { sendError } = require('../errors');
+const { schemas, validateRequest } = require('../validation');
+const { DELIVERY_STATUS, generateSecret, isWebhookUrl } = require('../webhooks');
+
+// Deliveries without their payload, for listings
+function summarize({ body, ...delivery }) {
+  return delivery;
+}
+
+function publicView({ secret, ...webhook }) {
+  return webhook;
+}
+
+// Admin-only: mounted behind requireAdmin
+function createWebhooksRouter({ webhookStore, deliveryStore, webhooks }) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json({ webhooks: webhookStore.find().map(publicView) });
+  });
+
+  // Register an endpoint for some or (with no events) all hazard events.
+  // The signing secret is only ever returned here.
+  router.post('/', validateRequest('body', schemas.createWebhook), (req, res) => {
+    const { url, events, description } = req.body;
+    if (!isWebhookUrl(url)) {
+      return sendError(res, 400, 'INVALID_FIELD', 'url must be an http(s) URL', 'url');
+    }
+
+    const webhook = webhookStore.insert({
+      id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+      url,
+      events: events || [],
+      description: description || null,
+      secret: generateSecret(),
+      createdAt: new Date()
+    });
+
+    console.log(`🪝 Webhook ${webhook.id} registered for ${webhook.events.join(', ') || 'all events'}`);
+    res.status(201).json({ success: true, webhook: publicView(webhook), secret: webhook.secret });
+  });
+
+  router.get('/deliveries', validateRequest('query', schemas.webhookDeliveryQuery), (req, res) => {
+    const { webhookId, status, limit } = req.query;
+
+    const deliveries = deliveryStore
+      .find(d => (!webhookId || d.webhookId === webhookId) && (!status || d.status === status))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({ deliveries: deliveries.slice(0, limit || 100).map(summarize), total: deliveries.length });
+  });
+
+  router.get('/deliveries/:id', (req, res) => {
+    const delivery = deliveryStore.findById(req.params.id);
+    if (!delivery) {
+      return sendError(res, 404, 'DELIVERY_NOT_FOUND', 'Delivery not found', 'id');
+    }
+    res.json({ delivery: { ...summarize(delivery), payload: JSON.parse(delivery.body) } });
+  });
+
+  router.get('/dead-letters', (req, res) => {
+    const deadLetters = deliveryStore.find(d => d.status === DELIVERY_STATUS.DEAD);
+    res.json({ deadLetters: deadLetters.map(summarize), total: deadLetters.length });
+  });
+
+  router.post('/dead-letters/:id/retry', (req, res) => {
+    const delivery = webhooks.retry(req.params.id);
+    if (!delivery) {
+      return sendError(res, 404, 'DEAD_LETTER_NOT_FOUND', 'Dead letter not found', 'id');
+    }
+    res.json({ success: true, delivery: summarize(delivery) });
+  });
+
+  router.delete('/dead-letters/:id', (req, res) => {
+    const delivery = deliveryStore.findById(req.params.id);
+    if (!delivery || delivery.status !== DELIVERY_STATUS.DEAD) {
+      return sendError(res, 404, 'DEAD_LETTER_NOT_FOUND', 'Dead letter not found', 'id');
+    }
+    deliveryStore.remove(delivery.id);
+    res.json({ success: true });
+  });
+
+  router.delete('/:id', (req, res) => {
+    if (!webhookStore.findById(req.params.id)) {
+      return sendError(res, 404, 'WEBHOOK_NOT_FOUND', 'Webhook not found', 'id');
+    }
+    webhookStore.remove(req.params.id);
+    console.log(`🪝 Webhook ${req.params.id} removed`);
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = createWebhooksRouter;
@@ -6,159 +6,668 @@ const http = require('http');
 const fileUpload = require('express-fileupload');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 
 dotenv.config();
 
+const { createStore, STORAGE_DRIVER } = require('./storage');
+const { calculateDistance } = require('./geo');
+const SpatialIndex = require('./spatialIndex');
+const corridor = require('./corridor');
+const { AlertTracker, bandFor } = require('./alertState');
+const lifecycle = require('./hazardLifecycle');
+const hazardMerge = require('./hazardMerge');
+const { sendError, errorHandler } = require('./errors');
+const { schemas, validate, validateRequest } = require('./validation');
+const { requireDevice, requireAdmin, authenticateSocket } = require('./auth');
+const createDevicesRouter = require('./routes/devices');
+const createSubscriptionsRouter = require('./routes/subscriptions');
+const createWebhooksRouter = require('./routes/webhooks');
+const createImportsRouter = require('./routes/imports');
+const createAnalyticsRouter = require('./routes/analytics');
+const createModerationRouter = require('./routes/moderation');
+const { createReputation } = require('./reputation');
+const { RateLimiter, rateLimit } = require('./rateLimit');
+const { VIDEO_MAX_BYTES, processUpload, thumbnailUrlFor } = require('./uploadPipeline');
+const { createMediaStore, LocalMediaStore, MEDIA_STORAGE, UPLOADS_DIR } = require('./media');
+const { WebhookDispatcher } = require('./webhooks');
+const { createSubscriptions } = require('./subscriptions');
+const { externalEventName, IMPORT_EVENT } = require('./hazardEvents');
+const { hazardFilter, pageHazards } = require('./hazardQuery');
+const { EXPORT_FORMATS, streamExport } = require('./exporters');
+const { createImports } = require('./imports');
+const { createAuditLog } = require('./auditLog');
+const { EVENT_TYPES, createHazardHistory } = require('./hazardHistory');
+const { createUploadRecords } = require('./uploadRecords');
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: { origin: "*", methods: ["GET", "POST"] }
 });
 
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir);
+const mediaStore = createMediaStore();
+// Files uploaded before media storage was pluggable live on local disk
+const legacyMediaStore = mediaStore instanceof LocalMediaStore ? null : new LocalMediaStore(UPLOADS_DIR);
+
+// Behind a load balancer, set TRUST_PROXY so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
 }
 
 app.use(cors());
 app.use(express.json());
-app.use(fileUpload({
-  limits: { fileSize: 100 * 1024 * 1024 }, // 100MB for videos
-}));
-app.use('/uploads', express.static('uploads'));
 
-// Store hazards with status (active/resolved)
-const hazards = [];
+// Only parsed on the upload route, after auth and rate limiting. Files go
+// to temp storage first; the per-type limits are checked once sniffed.
+const parseUpload = fileUpload({
+  useTempFiles: true,
+  tempFileDir: path.join(os.tmpdir(), 'vw-hazard-uploads'),
+  limits: { fileSize: VIDEO_MAX_BYTES, files: 1 },
+  abortOnLimit: true,
+  limitHandler: (req, res) => {
+    sendError(res, 413, 'FILE_TOO_LARGE', `Uploads are limited to ${VIDEO_MAX_BYTES / (1024 * 1024)}MB`, 'file');
+  }
+});
+app.get('/uploads/*', (req, res, next) => {
+  const key = req.params[0];
+  if (hiddenMediaStore.findById(key)) {
+    return sendError(res, 410, 'MEDIA_HIDDEN', 'This file was removed by a moderator');
+  }
+  mediaStore.serve(key, res)
+    .then(served => served || (legacyMediaStore && legacyMediaStore.serve(key, res)))
+    .then(served => {
+      if (!served) sendError(res, 404, 'MEDIA_NOT_FOUND', 'File not found');
+    })
+    .catch(next);
+});
+
+// Hazards and their lifecycle status, reloaded from storage on boot
+const hazardStore = createStore('hazards');
+hazardStore.find().forEach(hazard => {
+  const changes = lifecycle.migrateLegacyStatus(hazard);
+  if (changes) hazardStore.update(hazard.id, changes);
+});
+// Everything that ever happened to each hazard, kept after it is resolved
+// or even deleted
+const hazardHistory = createHazardHistory(createStore('hazard_events'));
+const deviceStore = createStore('devices');
+const requireRegisteredDevice = requireDevice(deviceStore);
+const reputation = createReputation(deviceStore);
+const limiter = new RateLimiter();
+
+// Outbound events: registered webhooks and geofenced subscriptions share
+// one signed, retrying dispatcher and its delivery log
+const subscriptionStore = createStore('subscriptions');
+const webhookStore = createStore('webhooks');
+const deliveryStore = createStore('webhook_deliveries');
+const webhooks = new WebhookDispatcher({
+  deliveryStore,
+  secretFor: ({ webhookId, subscriptionId }) => {
+    const owner = webhookId ? webhookStore.findById(webhookId) : subscriptionStore.findById(subscriptionId);
+    return owner ? owner.secret : null;
+  }
+});
+const subscriptions = createSubscriptions({ subscriptionStore, io, webhooks });
+
+// Moderation: every admin action lands in the audit log, and hidden media
+// keys are refused by the /uploads route
+const auditLog = createAuditLog(createStore('audit_log'));
+const hiddenMediaStore = createStore('hidden_media');
+
+// Who uploaded each file and what the client redacted from it
+const uploadRecords = createUploadRecords(createStore('uploads'));
+
+// Bulk imports of agency datasets, filed under `import:<source>` as the
+// reporter and never held back as pending. Rows go in silently and the
+// import is announced once as a whole.
+const importStore = createStore('imports');
+const imports = createImports({
+  importStore,
+  recordReport: ({ source, importId, confidence, ...row }) => recordReport({
+    ...row,
+    reporter: `import:${source}`,
+    confidence: confidence || 100,
+    source,
+    importId,
+    announce: false
+  }),
+  onImported: job => publishImport(job),
+  findExisting: ({ latitude, longitude, type }) => findDuplicate(latitude, longitude, type),
+  discard: ids => ids.forEach(id => discardImportedHazard(hazardStore.findById(id)))
+});
+
+// Connected devices keyed by their stable device id, with their last fix,
+// heading, speed and planned route (if any) for route-aware alerts
 const activeUsers = new Map();
+// What each device has already been warned about
+const alertTracker = new AlertTracker();
+
+// Grid indexes over active hazards and connected users, kept in step with
+// hazardStore and activeUsers so proximity checks don't scan everything.
+// Pending hazards get their own index: they can absorb duplicate reports
+// but must never show up in alerts.
+const hazardIndex = new SpatialIndex();
+const pendingIndex = new SpatialIndex();
+const userIndex = new SpatialIndex();
 
-// Calculate distance between coordinates (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
+function syncHazardIndex(hazard) {
+  // Ordered by id so results come back in store order
+  if (lifecycle.isOpen(hazard)) {
+    hazardIndex.upsert(hazard.id, hazard.latitude, hazard.longitude, hazard.id);
+  } else {
+    hazardIndex.remove(hazard.id);
+  }
+  if (lifecycle.isPending(hazard)) {
+    pendingIndex.upsert(hazard.id, hazard.latitude, hazard.longitude, hazard.id);
+  } else {
+    pendingIndex.remove(hazard.id);
+  }
 }
 
-// Check for duplicate hazards
-function isDuplicate(lat, lng, type) {
-  const RADIUS = 0.1; // 100 meters
-  const TIME_WINDOW = 300000; // 5 minutes
-  const now = Date.now();
-  
-  return hazards.some(h => {
-    if (h.status === 'resolved') return false;
-    const distance = calculateDistance(h.latitude, h.longitude, lat, lng);
-    const timeDiff = now - new Date(h.timestamp).getTime();
-    return distance < RADIUS && h.type === type && timeDiff < TIME_WINDOW;
-  });
+hazardStore.find().forEach(syncHazardIndex);
+
+// Hazard totals per status, kept current on every write instead of
+// rescanning the store for each listing
+const statusCounts = new Map();
+function countStatus(hazard, delta) {
+  if (hazard) statusCounts.set(hazard.status, (statusCounts.get(hazard.status) || 0) + delta);
 }
+hazardStore.find().forEach(hazard => countStatus(hazard, 1));
+hazardStore.onChange((before, after) => {
+  countStatus(before, -1);
+  countStatus(after, 1);
+});
 
-// Get active nearby hazards
-function getActiveNearbyHazards(userLat, userLng, radiusKm = 1) {
-  return hazards
-    .filter(hazard => hazard.status === 'active')
-    .filter(hazard => {
-      const distance = calculateDistance(userLat, userLng, hazard.latitude, hazard.longitude);
-      return distance <= radiusKm;
+function setActiveUser(userId, user) {
+  activeUsers.set(userId, user);
+  userIndex.upsert(userId, user.latitude, user.longitude);
+}
+
+function removeActiveUser(userId) {
+  activeUsers.delete(userId);
+  userIndex.remove(userId);
+}
+
+// Find an open or pending hazard this report duplicates, nearest first
+function findDuplicate(lat, lng, type) {
+  const rule = hazardMerge.duplicateRuleFor(type);
+  
+  const match = [
+    ...hazardIndex.queryRadius(lat, lng, rule.radiusKm),
+    ...pendingIndex.queryRadius(lat, lng, rule.radiusKm)
+  ]
+    .filter(({ id, distance }) => {
+      const h = hazardStore.findById(id);
+      return distance < rule.radiusKm && h.type === type && hazardMerge.isWithinWindow(h, rule);
     })
-    .map(hazard => ({
-      ...hazard,
-      distance: calculateDistance(userLat, userLng, hazard.latitude, hazard.longitude)
-    }));
+    .sort((a, b) => a.distance - b.distance)[0];
+  
+  return match ? hazardStore.findById(match.id) : null;
 }
 
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date() });
-});
+// Broadcast a hazard event to every client, then to the area subscriptions
+// it falls in and the webhooks registered for it. `payload` is what socket
+// clients get; defaults to the hazard.
+function publishHazardEvent(event, hazard, payload = hazard) {
+  io.emit(event, payload);
+  
+  const name = externalEventName(event, payload);
+  if (!name) return;
+  
+  subscriptions.dispatch(name, hazard);
+  webhookStore
+    .find(hook => hook.events.length === 0 || hook.events.includes(name))
+    .forEach(hook => webhooks.send({ url: hook.url, event: name, data: hazard, meta: { webhookId: hook.id } }));
+}
 
-// Report new hazard
-app.post('/api/hazards/report', (req, res) => {
-  const { type, latitude, longitude, severity, deviceId, confidence, imageUrl } = req.body;
+// One event for a whole bulk import instead of one per row: clients reload
+// their hazard list and webhooks get the counts. Area subscriptions aren't
+// told, as they follow single hazards.
+function publishImport({ id, source, progress, finishedAt }) {
+  const summary = { importId: id, source, created: progress.created, merged: progress.merged, finishedAt };
+  io.emit('hazards_imported', summary);
+  webhookStore
+    .find(hook => hook.events.length === 0 || hook.events.includes(IMPORT_EVENT))
+    .forEach(hook => webhooks.send({ url: hook.url, event: IMPORT_EVENT, data: summary, meta: { webhookId: hook.id } }));
+}
+
+// Warn a device about a hazard ahead of it, unless it has already been
+// warned at this distance and severity
+function sendProximityAlert(userId, user, hazard, distance, distanceAhead) {
+  const reason = alertTracker.check(userId, hazard, distanceAhead);
+  if (!reason) return;
   
-  if (isDuplicate(latitude, longitude, type)) {
-    console.log('⚠️  Duplicate hazard detected, skipping...');
-    return res.json({ 
-      success: true, 
-      duplicate: true,
-      message: 'Similar hazard already reported nearby' 
-    });
+  io.to(user.socketId).emit('proximity_alert', {
+    hazard,
+    distance: distance.toFixed(2),
+    distanceAhead: distanceAhead.toFixed(2),
+    etaSeconds: corridor.etaSeconds(distanceAhead, user.speed),
+    band: bandFor(distanceAhead),
+    reason
+  });
+  console.log(`🚨 Proximity alert sent to user ${userId} (${distanceAhead.toFixed(2)}km ahead, ${reason})`);
+}
+
+// Broadcast a hazard that just went live and warn devices heading for it
+function announceHazard(hazard) {
+  publishHazardEvent('hazard_alert', hazard);
+  
+  // Send proximity alerts to devices whose corridor covers the hazard
+  userIndex.queryRadius(hazard.latitude, hazard.longitude, corridor.MAX_REACH_KM).forEach(({ id: userId, distance }) => {
+    const user = activeUsers.get(userId);
+    const area = corridor.corridorFor(user);
+    if (distance > area.radiusKm) return;
+    
+    const distanceAhead = area.ahead(hazard.latitude, hazard.longitude, distance);
+    if (distanceAhead !== null) {
+      sendProximityAlert(userId, user, hazard, distance, distanceAhead);
+    }
+  });
+}
+
+// Persist a hazard update and broadcast any status transition it made,
+// unless `announce` is off (import rows)
+function saveHazardChanges(hazard, changes, { announce = true } = {}) {
+  const updated = hazardStore.update(hazard.id, changes);
+  syncHazardIndex(updated);
+
+  if (updated.status !== hazard.status) {
+    const last = updated.transitions[updated.transitions.length - 1];
+    const { from, to, actor, at, reason } = last;
+    reputation.applyTransition(updated, last);
+    hazardHistory.record(updated.id, EVENT_TYPES.STATUS_CHANGED, actor, { from, to, reason: reason || null });
+    console.log(`🔁 Hazard ${updated.id}: ${from} → ${to} (${actor})`);
+    
+    if (!lifecycle.isOpen(updated)) {
+      alertTracker.forgetHazard(updated.id);
+    }
+
+    if (!announce) {
+      // Left to the caller
+    } else if (from === lifecycle.STATUS.PENDING && lifecycle.isOpen(updated)) {
+      announceHazard(updated);
+    } else if (from !== lifecycle.STATUS.PENDING) {
+      publishHazardEvent('hazard_status_changed', updated, { hazardId: updated.id, from, to, actor, at, reason });
+    }
   }
+  return updated;
+}
+
+// File a report: merged into a duplicate nearby if there is one, otherwise
+// stored as a new hazard and announced unless it starts out pending.
+// Bulk imports pass a source tag and their importId, and turn `announce`
+// off; device reports pass the upload record of their image, if any.
+// Returns { hazard, duplicate }.
+function recordReport({ reporter, type, severity, latitude, longitude, confidence, rawConfidence, imageUrl, upload = null, pending = false, source = null, importId = null, announce = true }) {
+  const timestamp = new Date();
+  const observation = hazardMerge.toObservation({
+    deviceId: reporter,
+    latitude,
+    longitude,
+    confidence,
+    rawConfidence,
+    imageUrl,
+    thumbnailUrl: thumbnailUrlFor(imageUrl),
+    source,
+    timestamp
+  });
+  
+  const recordMedia = (hazardId) => {
+    if (observation.imageUrl) {
+      hazardHistory.record(hazardId, EVENT_TYPES.MEDIA_ATTACHED, reporter, {
+        url: observation.imageUrl,
+        thumbnailUrl: observation.thumbnailUrl,
+        ...(upload && uploadRecords.summary(upload))
+      });
+    }
+  };
   
-  console.log('✅ New hazard reported:', { type, latitude, longitude, confidence });
+  const existing = findDuplicate(latitude, longitude, type);
+  if (existing) {
+    const changes = hazardMerge.mergeObservation(existing, observation);
+    Object.assign(changes, lifecycle.addConfirmation(existing, reporter));
+    
+    hazardHistory.record(existing.id, EVENT_TYPES.MERGED, reporter, {
+      latitude: observation.latitude,
+      longitude: observation.longitude,
+      confidence: observation.confidence,
+      reportCount: changes.reportCount,
+      source
+    });
+    recordMedia(existing.id);
+    const merged = saveHazardChanges(existing, changes, { announce });
+    if (announce && lifecycle.isOpen(existing)) {
+      publishHazardEvent('hazard_updated', merged);
+    }
+    return { hazard: merged, duplicate: true };
+  }
   
-  const hazard = {
-    id: Date.now(),
+  const status = pending ? lifecycle.STATUS.PENDING : lifecycle.STATUS.REPORTED;
+  const hazard = hazardStore.insert({
     type,
-    latitude,
-    longitude,
     severity,
-    confidence: confidence || 100,
-    imageUrl: imageUrl || null,
-    timestamp: new Date(),
-    status: 'active',
-    reportedBy: deviceId,
+    ...hazardMerge.summarize([observation]),
+    confidence: observation.confidence,
+    imageUrl: observation.imageUrl,
+    thumbnailUrl: observation.thumbnailUrl,
+    timestamp,
+    status,
+    source,
+    importId,
+    reportedBy: reporter,
+    reporters: [reporter],
+    disputedBy: [],
+    transitions: [{ from: null, to: status, actor: reporter, at: timestamp, reason: null }],
+    expiresAt: lifecycle.expiresAtFor(type, timestamp, status),
     resolvedBy: null,
     resolvedAt: null,
     resolvedImageUrl: null
-  };
+  });
+  syncHazardIndex(hazard);
+  hazardHistory.record(hazard.id, EVENT_TYPES.REPORTED, reporter, {
+    type,
+    severity,
+    latitude: hazard.latitude,
+    longitude: hazard.longitude,
+    confidence: hazard.confidence,
+    status,
+    source,
+    importId
+  });
+  recordMedia(hazard.id);
   
-  hazards.push(hazard);
-  io.emit('hazard_alert', hazard);
+  if (announce && !lifecycle.isPending(hazard)) {
+    announceHazard(hazard);
+  }
+  return { hazard, duplicate: false };
+}
+
+// Persist a moderator change that leaves the lifecycle alone
+function updateHazard(hazard, changes) {
+  const updated = hazardStore.update(hazard.id, changes);
+  syncHazardIndex(updated);
+  if (lifecycle.isOpen(updated)) {
+    publishHazardEvent('hazard_updated', updated);
+  }
+  return updated;
+}
+
+// Moderator edit of type, severity or location. A new type restarts the
+// expiry clock with that type's lifetime (see changeType); a new location
+// is pinned, or the next merged report would average it away.
+function editHazard(hazard, changes, actor, reason) {
+  const before = {};
+  Object.keys(changes).forEach(field => { before[field] = hazard[field]; });
+  hazardHistory.record(hazard.id, EVENT_TYPES.EDITED, actor, { before, after: changes, reason: reason || null });
   
-  // Send proximity alerts
-  activeUsers.forEach((user, userId) => {
-    const distance = calculateDistance(user.latitude, user.longitude, latitude, longitude);
-    if (distance <= 1) {
-      io.to(user.socketId).emit('proximity_alert', {
-        hazard,
-        distance: distance.toFixed(2)
-      });
-      console.log(`🚨 Proximity alert sent to user ${userId} (${distance.toFixed(2)}km away)`);
+  if (changes.type && changes.type !== hazard.type) {
+    changes = { ...changes, ...lifecycle.changeType(hazard, changes.type) };
+  }
+  if (changes.latitude != null || changes.longitude != null) {
+    const latitude = changes.latitude != null ? changes.latitude : hazard.latitude;
+    const longitude = changes.longitude != null ? changes.longitude : hazard.longitude;
+    changes = { ...changes, ...hazardMerge.pinLocation(latitude, longitude, actor) };
+  }
+  return updateHazard(hazard, changes);
+}
+
+// Moderator override of the lifecycle, skipping the on-site checks. A
+// reopen undoes a wrong resolve, so the original reporters still stand.
+function forceStatus(hazard, to, actor, reason) {
+  const changes = lifecycle.transition(hazard, to, actor, reason, { forced: true });
+  if (to === lifecycle.STATUS.REOPENED) {
+    changes.reporters = hazard.reporters || [];
+  }
+  
+  const updated = saveHazardChanges(hazard, changes);
+  if (to === lifecycle.STATUS.RESOLVED) {
+    publishHazardEvent('hazard_resolved', updated, {
+      hazardId: updated.id,
+      resolvedAt: updated.resolvedAt,
+      resolvedBy: actor
+    });
+  }
+  return updated;
+}
+
+// Take back a hazard a failed atomic import created. It was never
+// announced, so nobody is told it's gone.
+function discardImportedHazard(hazard) {
+  hazardHistory.record(hazard.id, EVENT_TYPES.DELETED, 'system', { reason: `import ${hazard.importId} rolled back` });
+  hazardStore.remove(hazard.id);
+  hazardIndex.remove(hazard.id);
+  pendingIndex.remove(hazard.id);
+}
+
+// Delete a fake report outright
+function removeHazard(hazard, actor, reason) {
+  hazardHistory.record(hazard.id, EVENT_TYPES.DELETED, actor, { reason: reason || null });
+  hazardStore.remove(hazard.id);
+  hazardIndex.remove(hazard.id);
+  pendingIndex.remove(hazard.id);
+  alertTracker.forgetHazard(hazard.id);
+  publishHazardEvent('hazard_removed', hazard, { hazardId: hazard.id });
+}
+
+// Strip every image and thumbnail from a hazard and stop serving the
+// files. Returns the updated hazard and the URLs that were hidden.
+function hideHazardImages(hazard, actor, reason) {
+  const observations = hazard.observations || [];
+  const urls = new Set([
+    hazard.imageUrl,
+    hazard.thumbnailUrl,
+    hazard.resolvedImageUrl,
+    ...(hazard.images || []),
+    ...(hazard.thumbnails || []),
+    ...observations.flatMap(o => [o.imageUrl, o.thumbnailUrl])
+  ].filter(Boolean));
+  
+  urls.forEach(url => {
+    const key = url.replace(/^\/uploads\//, '');
+    if (!hiddenMediaStore.findById(key)) {
+      hiddenMediaStore.insert({ id: key, hazardId: hazard.id, hiddenAt: new Date() });
     }
   });
   
-  res.json({ success: true, duplicate: false, hazard });
-});
+  hazardHistory.record(hazard.id, EVENT_TYPES.MEDIA_HIDDEN, actor, { urls: [...urls], reason: reason || null });
+  const updated = updateHazard(hazard, {
+    imageUrl: null,
+    thumbnailUrl: null,
+    resolvedImageUrl: null,
+    images: [],
+    thumbnails: [],
+    observations: observations.map(o => ({ ...o, imageUrl: null, thumbnailUrl: null })),
+    imagesHidden: true
+  });
+  return { hazard: updated, hidden: [...urls] };
+}
 
-// Resolve hazard with photo
-app.post('/api/hazards/resolve', (req, res) => {
-  const { hazardId, latitude, longitude, deviceId, imageUrl } = req.body;
+// Block or unblock a device; blocking also drops its live connections
+function setDeviceBlocked(device, blocked, reason) {
+  const updated = deviceStore.update(device.id, blocked
+    ? { blocked: true, blockedAt: new Date(), blockedReason: reason || null }
+    : { blocked: false, blockedAt: null, blockedReason: null });
   
-  const hazard = hazards.find(h => h.id === parseInt(hazardId));
+  if (blocked) {
+    io.sockets.sockets.forEach(socket => {
+      if (socket.data.deviceId === device.id) socket.disconnect(true);
+    });
+  }
+  return updated;
+}
+
+// Confirming, disputing, resolving and reopening all need the device on site
+function proximityError(hazard, latitude, longitude, action) {
+  const distance = calculateDistance(latitude, longitude, hazard.latitude, hazard.longitude);
+  if (distance > 1) {
+    return `You must be within 1km of the hazard to ${action} it. You are ${distance.toFixed(2)}km away.`;
+  }
+  return null;
+}
+
+// Look up the hazard a request targets and check the device is close
+// enough to act on it. Sends the error response and returns null otherwise.
+function findHazardForAction(req, res, action) {
+  const { hazardId, latitude, longitude } = req.body;
   
+  const hazard = hazardStore.findById(hazardId);
   if (!hazard) {
-    return res.status(404).json({ error: 'Hazard not found' });
+    sendError(res, 404, 'HAZARD_NOT_FOUND', 'Hazard not found', 'hazardId');
+    return null;
+  }
+  
+  const tooFar = proximityError(hazard, latitude, longitude, action);
+  if (tooFar) {
+    sendError(res, 403, 'TOO_FAR_FROM_HAZARD', tooFar, 'latitude');
+    return null;
+  }
+  return hazard;
+}
+
+// Get active nearby hazards
+function getActiveNearbyHazards(userLat, userLng, radiusKm = 1) {
+  return hazardIndex
+    .queryRadius(userLat, userLng, radiusKm)
+    .map(({ id, distance }) => ({
+      ...hazardStore.findById(id),
+      distance
+    }));
+}
+
+// Active hazards in a device's alert corridor. In the plain-radius case
+// this is getActiveNearbyHazards; along a heading or route the hazards
+// come nearest-first in travel order.
+function getHazardsAhead(user, area = corridor.corridorFor(user)) {
+  const hazards = [];
+  
+  hazardIndex.queryRadius(user.latitude, user.longitude, area.radiusKm).forEach(({ id, distance }) => {
+    const hazard = hazardStore.findById(id);
+    const distanceAhead = area.ahead(hazard.latitude, hazard.longitude, distance);
+    if (distanceAhead !== null) {
+      hazards.push({
+        ...hazard,
+        distance,
+        distanceAhead,
+        etaSeconds: corridor.etaSeconds(distanceAhead, user.speed)
+      });
+    }
+  });
+  
+  if (area.mode !== 'radius') {
+    hazards.sort((a, b) => a.distanceAhead - b.distanceAhead);
+  }
+  return hazards;
+}
+
+// Refresh a device's list of hazards ahead and alert on the ones it hasn't
+// been warned about yet. The list is only re-sent while it has something
+// in it, plus once when it empties; the corridor itself is sent every time
+// so the map can draw it.
+function refreshHazardsAhead(socket, userId, user) {
+  const area = corridor.corridorFor(user);
+  const hazards = getHazardsAhead(user, area);
+  hazards.forEach(hazard => sendProximityAlert(userId, user, hazard, hazard.distance, hazard.distanceAhead));
+  
+  socket.emit('alert_corridor', {
+    mode: area.mode,
+    radiusKm: area.radiusKm,
+    path: area.path()
+  });
+  if (hazards.length > 0 || user.hazardsAhead > 0) {
+    socket.emit('nearby_hazards', { hazards });
+  }
+  user.hazardsAhead = hazards.length;
+  return hazards;
+}
+
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date() });
+});
+
+app.use('/api/devices', createDevicesRouter({ deviceStore, reputation, limiter }));
+app.use('/api/subscriptions', createSubscriptionsRouter({ subscriptions, requireRegisteredDevice, limiter }));
+app.use('/api/admin/webhooks', requireAdmin, createWebhooksRouter({ webhookStore, deliveryStore, webhooks }));
+app.use('/api/admin/imports', requireAdmin, createImportsRouter({ importStore, imports }));
+app.use('/api/admin/moderation', requireAdmin, createModerationRouter({
+  hazardStore,
+  deviceStore,
+  auditLog,
+  reputation,
+  moderation: { editHazard, forceStatus, removeHazard, hideHazardImages, setDeviceBlocked }
+}));
+app.use('/api/analytics', createAnalyticsRouter({ hazardStore, limiter }));
+
+// Report new hazard
+app.post('/api/hazards/report', requireRegisteredDevice, rateLimit(limiter, 'report'), validateRequest('body', schemas.reportHazard), (req, res) => {
+  const { type, latitude, longitude, severity, confidence, uploadId } = req.body;
+  const { deviceId } = req;
+  
+  // The upload must be the reporter's own, and is the image unless another
+  // is named
+  const upload = uploadId ? uploadRecords.findById(uploadId) : null;
+  if (uploadId && (!upload || upload.uploadedBy !== deviceId)) {
+    return sendError(res, 404, 'UPLOAD_NOT_FOUND', 'Upload not found', 'uploadId');
   }
+  const imageUrl = req.body.imageUrl || (upload && upload.fileUrl);
+  if (upload && imageUrl !== upload.fileUrl) {
+    return sendError(res, 400, 'UPLOAD_MISMATCH', 'imageUrl is not the file of this upload', 'imageUrl');
+  }
+  
+  const rawConfidence = confidence || 100;
+  const { hazard, duplicate } = recordReport({
+    reporter: deviceId,
+    type,
+    severity,
+    latitude,
+    longitude,
+    confidence: reputation.weightConfidence(deviceId, rawConfidence),
+    rawConfidence,
+    imageUrl,
+    upload,
+    // Devices with a poor track record wait for someone to back them up
+    pending: reputation.requiresConfirmation(deviceId)
+  });
   
-  if (hazard.status === 'resolved') {
+  if (duplicate) {
+    console.log(`🔗 Duplicate report merged into hazard ${hazard.id} (${hazard.reportCount} reports)`);
     return res.json({ 
-      success: false, 
-      message: 'Hazard already resolved' 
+      success: true, 
+      duplicate: true,
+      pending: lifecycle.isPending(hazard),
+      hazardId: hazard.id,
+      hazard,
+      message: 'Similar hazard already reported nearby - your report was added to it' 
     });
   }
   
-  const distance = calculateDistance(latitude, longitude, hazard.latitude, hazard.longitude);
+  console.log('✅ New hazard reported:', { type, latitude, longitude, confidence, status: hazard.status });
+  res.json({ success: true, duplicate: false, pending: lifecycle.isPending(hazard), hazard });
+});
+
+// Resolve hazard with photo
+app.post('/api/hazards/resolve', requireRegisteredDevice, rateLimit(limiter, 'resolve'), validateRequest('body', schemas.resolveHazard), (req, res) => {
+  const { imageUrl } = req.body;
+  const { deviceId } = req;
   
-  if (distance > 1) {
-    return res.json({
-      success: false,
-      message: `You must be within 1km of the hazard to resolve it. You are ${distance.toFixed(2)}km away.`
-    });
+  let hazard = findHazardForAction(req, res, 'resolve');
+  if (!hazard) return;
+  
+  if (!lifecycle.canTransition(hazard.status, lifecycle.STATUS.RESOLVED)) {
+    return sendError(res, 409, 'INVALID_TRANSITION', `Hazard already ${hazard.status}`, 'hazardId');
   }
   
-  hazard.status = 'resolved';
-  hazard.resolvedBy = deviceId;
-  hazard.resolvedAt = new Date();
-  hazard.resolvedImageUrl = imageUrl;
+  hazard = saveHazardChanges(hazard, {
+    ...lifecycle.transition(hazard, lifecycle.STATUS.RESOLVED, deviceId),
+    resolvedImageUrl: imageUrl || null
+  });
+  if (imageUrl) {
+    hazardHistory.record(hazard.id, EVENT_TYPES.MEDIA_ATTACHED, deviceId, { url: imageUrl, thumbnailUrl: thumbnailUrlFor(imageUrl), resolution: true });
+  }
   
   console.log('✅ Hazard resolved:', hazard.id, 'by', deviceId);
   
-  io.emit('hazard_resolved', {
+  publishHazardEvent('hazard_resolved', hazard, {
     hazardId: hazard.id,
     resolvedAt: hazard.resolvedAt,
     resolvedBy: deviceId
@@ -171,110 +680,335 @@ app.post('/api/hazards/resolve', (req, res) => {
   });
 });
 
-// Get nearby active hazards
-app.get('/api/hazards/nearby', (req, res) => {
-  const { latitude, longitude, radius } = req.query;
-  
-  if (!latitude || !longitude) {
-    return res.status(400).json({ error: 'Latitude and longitude required' });
+// Another device confirms the hazard is still there
+app.post('/api/hazards/confirm', requireRegisteredDevice, rateLimit(limiter, 'feedback'), validateRequest('body', schemas.hazardFeedback), (req, res) => {
+  const { deviceId } = req;
+
+  const hazard = findHazardForAction(req, res, 'confirm');
+  if (!hazard) return;
+
+  if (!lifecycle.isOpen(hazard)) {
+    return sendError(res, 409, 'INVALID_TRANSITION', `Hazard already ${hazard.status}`, 'hazardId');
+  }
+
+  const changes = lifecycle.addConfirmation(hazard, deviceId);
+  if (!changes) {
+    return sendError(res, 409, 'ALREADY_REPORTED', 'You have already reported this hazard', 'deviceId');
   }
+
+  hazardHistory.record(hazard.id, EVENT_TYPES.CONFIRMATION, deviceId);
+  res.json({ success: true, hazard: saveHazardChanges(hazard, changes) });
+});
+
+// Another device says the hazard isn't there
+app.post('/api/hazards/dispute', requireRegisteredDevice, rateLimit(limiter, 'feedback'), validateRequest('body', schemas.hazardFeedback), (req, res) => {
+  const { reason } = req.body;
+  const { deviceId } = req;
+
+  const hazard = findHazardForAction(req, res, 'dispute');
+  if (!hazard) return;
+
+  if (!lifecycle.isOpen(hazard)) {
+    return sendError(res, 409, 'INVALID_TRANSITION', `Hazard already ${hazard.status}`, 'hazardId');
+  }
+
+  const changes = lifecycle.addDispute(hazard, deviceId, reason || null);
+  if (!changes) {
+    return sendError(res, 409, 'ALREADY_DISPUTED', 'You cannot dispute this hazard again', 'deviceId');
+  }
+
+  hazardHistory.record(hazard.id, EVENT_TYPES.DISPUTE, deviceId, { reason: reason || null });
+  res.json({ success: true, hazard: saveHazardChanges(hazard, changes) });
+});
+
+// Reopen a resolved or expired hazard that is back on the road
+app.post('/api/hazards/reopen', requireRegisteredDevice, rateLimit(limiter, 'feedback'), validateRequest('body', schemas.hazardFeedback), (req, res) => {
+  const { reason } = req.body;
+  const { deviceId } = req;
+
+  const hazard = findHazardForAction(req, res, 'reopen');
+  if (!hazard) return;
+
+  if (!lifecycle.canTransition(hazard.status, lifecycle.STATUS.REOPENED)) {
+    return sendError(res, 409, 'INVALID_TRANSITION', `A ${hazard.status} hazard cannot be reopened`, 'hazardId');
+  }
+
+  const changes = lifecycle.transition(hazard, lifecycle.STATUS.REOPENED, deviceId, reason || null);
+  res.json({ success: true, hazard: saveHazardChanges(hazard, changes) });
+});
+
+// Get nearby active hazards
+app.get('/api/hazards/nearby', validateRequest('query', schemas.nearbyQuery), (req, res) => {
+  const { latitude, longitude, radius, heading, speed } = req.query;
   
-  const nearbyHazards = getActiveNearbyHazards(
-    parseFloat(latitude), 
-    parseFloat(longitude), 
-    parseFloat(radius) || 1
-  );
+  // With a heading or speed, return the same corridor the socket alerts use
+  const nearbyHazards = heading != null || speed != null
+    ? getHazardsAhead({ latitude, longitude, heading, speed })
+    : getActiveNearbyHazards(latitude, longitude, radius || 1);
   
   res.json({ hazards: nearbyHazards });
 });
 
-// Get all hazards
-app.get('/api/hazards', (req, res) => {
-  const { status } = req.query;
-  
-  let filteredHazards = hazards;
+// List hazards, filtered and sorted, one cursor page at a time. Pass the
+// returned nextCursor back with the same query for the following page.
+app.get('/api/hazards', validateRequest('query', schemas.hazardListQuery), (req, res) => {
+  const { sort, latitude, longitude } = req.query;
   
-  if (status === 'active') {
-    filteredHazards = hazards.filter(h => h.status === 'active');
-  } else if (status === 'resolved') {
-    filteredHazards = hazards.filter(h => h.status === 'resolved');
+  if (sort === 'distance' && (latitude == null || longitude == null)) {
+    return sendError(res, 400, 'MISSING_FIELD', 'latitude and longitude are required to sort by distance',
+      latitude == null ? 'latitude' : 'longitude');
   }
   
+  const { hazards, nextCursor, total } = pageHazards(hazardStore.iterate(), req.query);
+  
   res.json({ 
-    hazards: filteredHazards.slice(-50),
-    total: filteredHazards.length,
-    active: hazards.filter(h => h.status === 'active').length,
-    resolved: hazards.filter(h => h.status === 'resolved').length
+    hazards,
+    nextCursor,
+    total,
+    active: lifecycle.OPEN_STATUSES.reduce((sum, status) => sum + (statusCounts.get(status) || 0), 0),
+    resolved: statusCounts.get(lifecycle.STATUS.RESOLVED) || 0,
+    expired: statusCounts.get(lifecycle.STATUS.EXPIRED) || 0
   });
 });
 
+// Everything that happened to a hazard, oldest first. Still answers once
+// the hazard has been deleted.
+app.get('/api/hazards/:id/history', (req, res) => {
+  const hazardId = Number(req.params.id);
+  const hazard = hazardStore.findById(hazardId);
+  const events = hazardHistory.forHazard(hazardId, hazard);
+  
+  if (!hazard && events.length === 0) {
+    return sendError(res, 404, 'HAZARD_NOT_FOUND', 'Hazard not found', 'id');
+  }
+  res.json({ hazardId, deleted: !hazard, events });
+});
+
+// Export the full filtered set as GeoJSON, CSV or KML, streamed
+app.get('/api/hazards/export.:format', rateLimit(limiter, 'export'), validateRequest('query', schemas.hazardExportQuery), (req, res, next) => {
+  const { format } = req.params;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return sendError(res, 404, 'UNKNOWN_FORMAT', `Export format must be one of: ${EXPORT_FORMATS.join(', ')}`, 'format');
+  }
+  
+  streamExport(res, format, hazardStore.iterate(hazardFilter(req.query)))
+    .then(count => console.log(`📦 Exported ${count} hazards as ${format}`))
+    .catch(next);
+});
+
 // Upload image/video
-app.post('/api/upload', (req, res) => {
+// Optional `redaction` and `overlays` form fields (JSON) describe what the
+// client blurred and detected; they're kept in the upload record
+app.post('/api/upload', requireRegisteredDevice, rateLimit(limiter, 'upload'), parseUpload, (req, res, next) => {
   if (!req.files || (!req.files.image && !req.files.video)) {
-    return res.status(400).json({ error: 'No file uploaded' });
+    return sendError(res, 400, 'NO_FILE', 'No file uploaded', 'image');
   }
 
+  // The stored type comes from the file's bytes, not the form field
   const file = req.files.image || req.files.video;
-  const fileType = req.files.image ? 'image' : 'video';
-  const filename = `${Date.now()}_${file.name}`;
-  const uploadPath = path.join(uploadsDir, filename);
-
-  file.mv(uploadPath, (err) => {
-    if (err) {
-      console.error('Upload error:', err);
-      return res.status(500).json({ error: 'Upload failed' });
+
+  const metadata = {};
+  for (const field of ['redaction', 'overlays']) {
+    const raw = req.body && req.body[field];
+    if (raw === undefined || raw === '') continue;
+    try {
+      metadata[field] = JSON.parse(raw);
+    } catch (error) {
+      fs.rm(file.tempFilePath, { force: true }, () => {});
+      return sendError(res, 400, 'INVALID_FIELD', `${field} must be JSON`, field);
     }
+  }
+  const { value, error } = validate(schemas.uploadMetadata, metadata);
+  if (error) {
+    fs.rm(file.tempFilePath, { force: true }, () => {});
+    return sendError(res, 400, error.code, error.message, error.field);
+  }
 
-    const fileUrl = `/uploads/${filename}`;
-    console.log(`📸 ${fileType.toUpperCase()} uploaded:`, fileUrl);
-    res.json({ success: true, fileUrl, fileType });
-  });
+  processUpload(file, mediaStore, { redacted: Boolean(value.redaction) })
+    .then((result) => {
+      const upload = uploadRecords.record({ file: result, deviceId: req.deviceId, ...value });
+      console.log(`📸 ${result.fileType.toUpperCase()} uploaded:`, result.fileUrl, result.deduplicated ? '(duplicate)' : '',
+        upload.redaction ? `(${upload.redaction.faces} faces, ${upload.redaction.plates} plates redacted)` : '');
+      res.json({ success: true, ...result, uploadId: upload.id, redaction: upload.redaction });
+    })
+    .catch(next);
+});
+
+io.use(authenticateSocket(deviceStore));
+
+// Caps reconnect storms from one device or address
+io.use((socket, next) => {
+  const result = limiter.hit('connection', { deviceId: socket.data.deviceId, ip: socket.handshake.address });
+  if (!result.allowed) {
+    return next(new Error('RATE_LIMITED'));
+  }
+  next();
 });
 
+// Drop socket events over budget and tell the client when to retry
+function allowSocketEvent(socket, event) {
+  const result = limiter.hit(event, { deviceId: socket.data.deviceId, ip: socket.handshake.address });
+  if (!result.allowed) {
+    socket.emit('rate_limited', { event, retryAfter: result.retryAfter });
+  }
+  return result.allowed;
+}
+
 io.on('connection', (socket) => {
-  console.log('🔌 Client connected:', socket.id);
+  const userId = socket.data.deviceId;
+  console.log('🔌 Client connected:', socket.id, 'device', userId);
   
   socket.on('register_location', (data) => {
-    const { userId, latitude, longitude } = data;
-    activeUsers.set(userId, { socketId: socket.id, latitude, longitude });
+    if (!allowSocketEvent(socket, 'register_location')) return;
+    
+    const { value, error } = validate(schemas.location, data);
+    if (error) return socket.emit('validation_error', { error });
+    
+    const { latitude, longitude } = value;
+    const now = Date.now();
+    // Re-registering from the same connection keeps the planned route
+    const previous = activeUsers.get(userId);
+    const current = previous && previous.socketId === socket.id ? previous : null;
+    setActiveUser(userId, {
+      socketId: socket.id,
+      latitude,
+      longitude,
+      ...corridor.trackTravel(current, value, now),
+      route: current ? current.route : null,
+      updatedAt: now
+    });
     console.log(`📍 User ${userId} registered at ${latitude}, ${longitude}`);
     
-    const nearbyHazards = getActiveNearbyHazards(latitude, longitude, 1);
+    const nearbyHazards = refreshHazardsAhead(socket, userId, activeUsers.get(userId));
     if (nearbyHazards.length > 0) {
-      socket.emit('nearby_hazards', { hazards: nearbyHazards });
       console.log(`📢 Sent ${nearbyHazards.length} active nearby hazards to user ${userId}`);
     }
   });
   
   socket.on('update_location', (data) => {
-    const { userId, latitude, longitude } = data;
+    if (!allowSocketEvent(socket, 'update_location')) return;
+    
+    const { value, error } = validate(schemas.location, data);
+    if (error) return socket.emit('validation_error', { error });
+    
+    const { latitude, longitude } = value;
     const user = activeUsers.get(userId);
-    if (user) {
+    if (user && user.socketId === socket.id) {
+      const now = Date.now();
+      Object.assign(user, corridor.trackTravel(user, value, now));
       user.latitude = latitude;
       user.longitude = longitude;
+      user.updatedAt = now;
+      userIndex.upsert(userId, latitude, longitude);
       
-      const nearbyHazards = getActiveNearbyHazards(latitude, longitude, 1);
-      if (nearbyHazards.length > 0) {
-        socket.emit('nearby_hazards', { hazards: nearbyHazards });
-      }
+      refreshHazardsAhead(socket, userId, user);
+    }
+  });
+  
+  // A planned route as [[lat, lng], ...]; an empty route clears it
+  socket.on('set_route', (data) => {
+    if (!allowSocketEvent(socket, 'set_route')) return;
+    
+    const { value, error } = validate(schemas.route, data);
+    if (error) return socket.emit('validation_error', { error });
+    
+    const user = activeUsers.get(userId);
+    if (user && user.socketId === socket.id) {
+      user.route = value.route.length >= 2 ? value.route : null;
+      console.log(`🛣️  User ${userId} ${user.route ? `set a ${user.route.length}-point route` : 'cleared their route'}`);
+      refreshHazardsAhead(socket, userId, user);
+    }
+  });
+  
+  // The driver has seen this hazard: no more alerts unless its severity changes
+  socket.on('acknowledge_hazard', (data) => {
+    if (!allowSocketEvent(socket, 'alert_feedback')) return;
+    
+    const { value, error } = validate(schemas.acknowledgeAlert, data);
+    if (error) return socket.emit('validation_error', { error });
+    
+    const hazard = hazardStore.findById(value.hazardId);
+    if (!hazard) {
+      return socket.emit('validation_error', {
+        error: { code: 'HAZARD_NOT_FOUND', message: 'Hazard not found', field: 'hazardId' }
+      });
     }
+    alertTracker.acknowledge(userId, hazard);
+  });
+  
+  // Quiet one hazard's alerts, or all of them without a hazardId
+  socket.on('snooze_alerts', (data) => {
+    if (!allowSocketEvent(socket, 'alert_feedback')) return;
+    
+    const { value, error } = validate(schemas.snoozeAlerts, data);
+    if (error) return socket.emit('validation_error', { error });
+    
+    const hazard = value.hazardId != null ? hazardStore.findById(value.hazardId) : null;
+    if (value.hazardId != null && !hazard) {
+      return socket.emit('validation_error', {
+        error: { code: 'HAZARD_NOT_FOUND', message: 'Hazard not found', field: 'hazardId' }
+      });
+    }
+    const until = Date.now() + value.minutes * 60 * 1000;
+    alertTracker.snooze(userId, hazard, until);
+    socket.emit('alerts_snoozed', { hazardId: value.hazardId || null, until: new Date(until) });
+  });
+  
+  // Receive a subscription's events on this connection
+  socket.on('watch_subscription', (data) => {
+    if (!allowSocketEvent(socket, 'subscriptions')) return;
+    
+    const { value, error } = validate(schemas.watchSubscription, data);
+    if (error) return socket.emit('validation_error', { error });
+    
+    const subscription = subscriptions.findFor(userId, value.subscriptionId);
+    if (!subscription) {
+      return socket.emit('validation_error', {
+        error: { code: 'SUBSCRIPTION_NOT_FOUND', message: 'Subscription not found', field: 'subscriptionId' }
+      });
+    }
+    socket.join(subscriptions.roomFor(subscription.id));
+    socket.emit('subscription_watching', { subscriptionId: subscription.id });
+  });
+  
+  socket.on('unwatch_subscription', (data) => {
+    const { value, error } = validate(schemas.watchSubscription, data);
+    if (error) return socket.emit('validation_error', { error });
+    socket.leave(subscriptions.roomFor(value.subscriptionId));
   });
   
   socket.on('disconnect', () => {
-    for (const [userId, user] of activeUsers.entries()) {
-      if (user.socketId === socket.id) {
-        activeUsers.delete(userId);
-        console.log(`🔌 User ${userId} disconnected`);
-        break;
-      }
+    const user = activeUsers.get(userId);
+    // A newer connection from the same device may have taken over
+    if (user && user.socketId === socket.id) {
+      removeActiveUser(userId);
+      console.log(`🔌 User ${userId} disconnected`);
     }
   });
 });
 
+app.use('/api', (req, res) => {
+  sendError(res, 404, 'NOT_FOUND', `No route for ${req.method} ${req.originalUrl}`);
+});
+
+app.use(errorHandler);
+
+// Expire transient hazards (animals, debris) nobody has confirmed lately
+const EXPIRY_SWEEP_INTERVAL = 60000;
+setInterval(() => {
+  hazardStore.find(h => lifecycle.isExpired(h)).forEach(hazard => {
+    saveHazardChanges(hazard, lifecycle.transition(hazard, lifecycle.STATUS.EXPIRED, 'system', 'ttl'));
+  });
+  alertTracker.prune(userId => activeUsers.has(userId));
+  webhooks.prune();
+}, EXPIRY_SWEEP_INTERVAL).unref();
+
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   console.log(`✅ VW Hazard Detection Server running on http://localhost:${PORT}`);
-  console.log(`📡 Proximity alerts enabled (1km radius)`);
-  console.log(`🗄️  Hazard persistence enabled`);
-  console.log(`🎥 Image & Video upload supported`);
+  console.log(`📡 Proximity alerts enabled (${corridor.ALERT_RADIUS_KM}km radius, route-aware when moving)`);
+  console.log(`🗄️  Hazard persistence enabled (${STORAGE_DRIVER}, ${hazardStore.count()} hazards loaded)`);
+  console.log(`🎥 Image & Video upload supported (${MEDIA_STORAGE} media storage)`);
+  const resumed = webhooks.resume();
+  console.log(`🪝 Webhooks enabled (${webhookStore.count()} registered${resumed ? `, ${resumed} deliveries resumed` : ''})`);
 });
\ No newline at end of file
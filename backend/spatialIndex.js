@@ -0,0 +1,132 @@
+const { EARTH_RADIUS_KM, calculateDistance } = require('./geo');
+
+const toRad = deg => deg * Math.PI / 180;
+const toDeg = rad => rad * 180 / Math.PI;
+
+// Uniform lat/lng grid over point entries. Radius queries only look at the
+// cells that can contain a match and then run the same Haversine check as a
+// full scan, so the results (and their order) are identical to scanning.
+class SpatialIndex {
+  constructor(cellSizeDeg = 0.01) {
+    this.cellSize = cellSizeDeg;
+    this.columns = Math.round(360 / cellSizeDeg);
+    this.cells = new Map();
+    this.entries = new Map();
+    this.seq = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  cellX(lng) {
+    const x = Math.floor(lng / this.cellSize);
+    return ((x % this.columns) + this.columns) % this.columns;
+  }
+
+  cellY(lat) {
+    return Math.floor(lat / this.cellSize);
+  }
+
+  // Add or move an entry. `order` decides result ordering; by default
+  // entries keep the order they were first added in, like a Map.
+  upsert(id, latitude, longitude, order) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    const existing = this.entries.get(id);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      // Can never be within range of anything, same as in a scan
+      this.remove(id);
+      return;
+    }
+
+    const key = `${this.cellY(lat)}:${this.cellX(lng)}`;
+    if (existing && existing.key !== key) {
+      this.removeFromCell(existing);
+    }
+
+    const entry = {
+      id,
+      lat,
+      lng,
+      key,
+      order: order != null ? order : (existing ? existing.order : this.seq++)
+    };
+    this.entries.set(id, entry);
+
+    if (!this.cells.has(key)) this.cells.set(key, new Map());
+    this.cells.get(key).set(id, entry);
+  }
+
+  remove(id) {
+    const existing = this.entries.get(id);
+    if (!existing) return false;
+    this.removeFromCell(existing);
+    this.entries.delete(id);
+    return true;
+  }
+
+  removeFromCell(entry) {
+    const cell = this.cells.get(entry.key);
+    if (!cell) return;
+    cell.delete(entry.id);
+    if (cell.size === 0) this.cells.delete(entry.key);
+  }
+
+  // Entries within radiusKm of the point as [{ id, distance }]
+  queryRadius(latitude, longitude, radiusKm) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || !(radiusKm >= 0)) {
+      return [];
+    }
+
+    const results = [];
+    for (const entry of this.candidates(lat, lng, radiusKm)) {
+      const distance = calculateDistance(lat, lng, entry.lat, entry.lng);
+      if (distance <= radiusKm) {
+        results.push({ id: entry.id, distance, order: entry.order });
+      }
+    }
+
+    return results
+      .sort((a, b) => a.order - b.order)
+      .map(({ id, distance }) => ({ id, distance }));
+  }
+
+  candidates(lat, lng, radiusKm) {
+    // Small padding so rounding can't push a boundary point out of range
+    const angular = radiusKm / EARTH_RADIUS_KM + 1e-9;
+    const latDelta = toDeg(angular);
+    const sinRatio = Math.sin(angular) / Math.cos(toRad(lat));
+
+    // Circles that reach a pole or wrap the globe cover every column
+    if (angular >= Math.PI / 2 || Math.abs(sinRatio) >= 1) {
+      return this.entries.values();
+    }
+
+    const lngDelta = toDeg(Math.asin(sinRatio));
+    const minY = this.cellY(lat - latDelta);
+    const maxY = this.cellY(lat + latDelta);
+    const minX = Math.floor((lng - lngDelta) / this.cellSize);
+    const maxX = Math.floor((lng + lngDelta) / this.cellSize);
+
+    const cellCount = (maxY - minY + 1) * (maxX - minX + 1);
+    if (maxX - minX + 1 >= this.columns || cellCount >= this.entries.size) {
+      return this.entries.values();
+    }
+
+    const found = [];
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const column = ((x % this.columns) + this.columns) % this.columns;
+        const cell = this.cells.get(`${y}:${column}`);
+        if (cell) found.push(...cell.values());
+      }
+    }
+    return found;
+  }
+}
+
+module.exports = SpatialIndex;
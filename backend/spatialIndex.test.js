@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SpatialIndex = require('./spatialIndex');
+const { calculateDistance } = require('./geo');
+
+// Seeded so a failure can be replayed
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const wrapLng = lng => ((lng + 540) % 360) - 180;
+const clampLat = lat => Math.max(-90, Math.min(90, lat));
+
+function bruteForce(points, latitude, longitude, radiusKm) {
+  return [...points]
+    .map(([id, [lat, lng]]) => ({ id, distance: calculateDistance(latitude, longitude, lat, lng) }))
+    .filter(({ distance }) => distance <= radiusKm);
+}
+
+// Points and queries scattered around each centre, by up to `spread` degrees
+function checkAgainstScan({ seed, cellSize, centres, spread, radii, points: count = 2000, queries = 300 }) {
+  const rand = random(seed);
+  const near = ([lat, lng]) => [clampLat(lat + (rand() - 0.5) * 2 * spread), wrapLng(lng + (rand() - 0.5) * 2 * spread)];
+  const pick = list => list[Math.floor(rand() * list.length)];
+
+  const index = new SpatialIndex(cellSize);
+  const points = new Map();
+  for (let id = 0; id < count; id++) {
+    const point = near(pick(centres));
+    index.upsert(id, ...point);
+    points.set(id, point);
+  }
+  // Move and drop some, as hazards and devices do
+  for (let i = 0; i < count / 10; i++) {
+    const id = Math.floor(rand() * count);
+    if (rand() < 0.5) {
+      index.remove(id);
+      points.delete(id);
+    } else if (points.has(id)) {
+      const point = near(pick(centres));
+      index.upsert(id, ...point);
+      points.set(id, point);
+    }
+  }
+
+  for (let i = 0; i < queries; i++) {
+    const [lat, lng] = near(pick(centres));
+    const radiusKm = pick(radii) * rand();
+    assert.deepEqual(index.queryRadius(lat, lng, radiusKm), bruteForce(points, lat, lng, radiusKm),
+      `query ${lat}, ${lng} within ${radiusKm}km`);
+  }
+}
+
+test('matches a full scan at city scale', () => {
+  checkAgainstScan({ seed: 1, cellSize: 0.01, centres: [[52.52, 13.405], [-33.87, 151.21], [0, 0]], spread: 0.2, radii: [0.5, 2, 5] });
+});
+
+test('matches a full scan across the antimeridian', () => {
+  checkAgainstScan({ seed: 2, cellSize: 0.01, centres: [[-17.7, 180], [65.5, -179.99]], spread: 0.1, radii: [1, 5] });
+  checkAgainstScan({ seed: 3, cellSize: 1, centres: [[0, 179.5], [-45, -179.5]], spread: 3, radii: [50, 200] });
+});
+
+test('matches a full scan near the poles', () => {
+  checkAgainstScan({ seed: 4, cellSize: 0.01, centres: [[89.99, 0], [-89.99, 90]], spread: 0.05, radii: [1, 3] });
+  checkAgainstScan({ seed: 5, cellSize: 1, centres: [[88, 45], [-87, -120]], spread: 2.5, radii: [50, 300] });
+});
@@ -0,0 +1,22 @@
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const JsonLogStore = require('./jsonLogStore');
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'jsonlog';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Open (and reload) a named store with the configured driver.
+// STORAGE_DRIVER=memory keeps everything in-process, e.g. for tests.
+function createStore(name) {
+  let store;
+  if (STORAGE_DRIVER === 'memory') {
+    store = new MemoryStore(name);
+  } else if (STORAGE_DRIVER === 'jsonlog') {
+    store = new JsonLogStore(name, path.join(DATA_DIR, `${name}.log`));
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}"`);
+  }
+  return store.load();
+}
+
+module.exports = { createStore, MemoryStore, JsonLogStore, STORAGE_DRIVER };
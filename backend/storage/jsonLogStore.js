@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+// Records name their dates `at`, `timestamp` or `somethingAt`. Any other
+// string stays a string, however much it looks like a date.
+const DATE_KEY = /^(at|timestamp|.+At)$/;
+
+// The log is rewritten once it holds this many lines and at least twice
+// as many as there are live records
+const COMPACT_MIN_LINES = parseInt(process.env.STORE_COMPACT_MIN_LINES, 10) || 10000;
+
+// Turn ISO strings back into Date objects so reloaded records look
+// the same as the ones created in this process
+function reviveDates(key, value) {
+  return typeof value === 'string' && DATE_KEY.test(key) && ISO_DATE.test(value) ? new Date(value) : value;
+}
+
+// Append-only JSON-lines log. Every write is one line; the log is replayed
+// into memory on boot and compacted to one line per live record then and
+// whenever it has grown well past that.
+class JsonLogStore extends MemoryStore {
+  constructor(name, filePath) {
+    super(name);
+    this.filePath = filePath;
+    this.lines = 0;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      return this;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    let skipped = 0;
+
+    lines.forEach((line) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line, reviveDates);
+      } catch (error) {
+        // A crash mid-append leaves a partial last line behind
+        skipped++;
+        return;
+      }
+
+      if (entry.op === 'put') {
+        this.records.set(entry.record.id, entry.record);
+        if (typeof entry.record.id === 'number') {
+          this.lastId = Math.max(this.lastId, entry.record.id);
+        }
+      } else if (entry.op === 'delete') {
+        this.records.delete(entry.record.id);
+      }
+    });
+
+    if (skipped > 0) {
+      console.warn(`⚠️  Skipped ${skipped} unreadable line(s) in ${this.filePath}`);
+    }
+
+    this.compact();
+    return this;
+  }
+
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const body = Array.from(this.records.values())
+      .map(record => JSON.stringify({ op: 'put', record }) + '\n')
+      .join('');
+    fs.writeFileSync(tmpPath, body);
+    fs.renameSync(tmpPath, this.filePath);
+    this.lines = this.records.size;
+  }
+
+  persist(op, record) {
+    fs.appendFileSync(this.filePath, JSON.stringify({ op, record }) + '\n');
+    if (++this.lines >= Math.max(COMPACT_MIN_LINES, 2 * this.records.size)) {
+      this.compact();
+    }
+  }
+}
+
+module.exports = JsonLogStore;
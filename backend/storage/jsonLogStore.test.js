@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORE_COMPACT_MIN_LINES = '20';
+const JsonLogStore = require('./jsonLogStore');
+
+function tempLog(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonlog-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'test.log');
+}
+const lineCount = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length;
+
+test('only date fields come back as Dates', (t) => {
+  const file = tempLog(t);
+  const store = new JsonLogStore('test', file).load();
+  store.insert({ id: 'a', createdAt: new Date('2026-01-02T03:04:05.000Z'), reason: '2026-01-02T03:04:05.000Z', transitions: [{ at: new Date(0) }] });
+
+  const record = new JsonLogStore('test', file).load().findById('a');
+  assert.ok(record.createdAt instanceof Date);
+  assert.ok(record.transitions[0].at instanceof Date);
+  assert.equal(record.reason, '2026-01-02T03:04:05.000Z');
+});
+
+test('the log is compacted as it grows', (t) => {
+  const file = tempLog(t);
+  const store = new JsonLogStore('test', file).load();
+  store.insert({ id: 'a', count: 0 });
+  store.insert({ id: 'b', count: 0 });
+  for (let i = 1; i <= 100; i++) store.update('a', { count: i });
+
+  assert.ok(lineCount(file) < 20, `${lineCount(file)} lines`);
+  const reloaded = new JsonLogStore('test', file).load();
+  assert.equal(reloaded.findById('a').count, 100);
+  assert.equal(reloaded.count(), 2);
+});
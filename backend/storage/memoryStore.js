@@ -0,0 +1,94 @@
+// In-memory record store. Used on its own for tests and as the base
+// for the durable stores, which only add persistence on top of it.
+class MemoryStore {
+  constructor(name) {
+    this.name = name;
+    this.records = new Map();
+    this.lastId = 0;
+    this.listeners = [];
+  }
+
+  load() {
+    return this;
+  }
+
+  // Numeric ids stay time-based like before, but never repeat
+  nextId() {
+    this.lastId = Math.max(Date.now(), this.lastId + 1);
+    return this.lastId;
+  }
+
+  insert(record) {
+    const { id, ...fields } = record;
+    const stored = { id: id != null ? id : this.nextId(), ...fields };
+    if (typeof stored.id === 'number') {
+      this.lastId = Math.max(this.lastId, stored.id);
+    }
+    this.records.set(stored.id, stored);
+    this.persist('put', stored);
+    this.notify(null, stored);
+    return stored;
+  }
+
+  update(id, changes) {
+    const existing = this.records.get(id);
+    if (!existing) return null;
+
+    const updated = { ...existing, ...changes, id };
+    this.records.set(id, updated);
+    this.persist('put', updated);
+    this.notify(existing, updated);
+    return updated;
+  }
+
+  remove(id) {
+    const existing = this.records.get(id);
+    if (!existing) return false;
+    this.records.delete(id);
+    this.persist('delete', { id });
+    this.notify(existing, null);
+    return true;
+  }
+
+  findById(id) {
+    return this.records.get(id) || null;
+  }
+
+  find(predicate = () => true) {
+    const results = [];
+    for (const record of this.records.values()) {
+      if (predicate(record)) results.push(record);
+    }
+    return results;
+  }
+
+  // Lazily yields matching records, for streaming large result sets
+  *iterate(predicate = () => true) {
+    for (const record of this.records.values()) {
+      if (predicate(record)) yield record;
+    }
+  }
+
+  count(predicate = () => true) {
+    let total = 0;
+    for (const record of this.records.values()) {
+      if (predicate(record)) total++;
+    }
+    return total;
+  }
+
+  // listener(before, after) runs after every write; before is null for
+  // inserts and after is null for removals. Records loaded on boot don't
+  // go through it.
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify(before, after) {
+    this.listeners.forEach(listener => listener(before, after));
+  }
+
+  persist() {}
+}
+
+module.exports = MemoryStore;
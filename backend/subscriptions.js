@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { containsPoint } = require('./geofence');
+const { generateSecret } = require('./webhooks');
+
+// Fixed-area alert subscriptions for partners without a live GPS client.
+// Each belongs to the device that created it and forwards matching hazard
+// events to its Socket.IO room and, optionally, a signed webhook.
+const MAX_PER_DEVICE = 50;
+
+function roomFor(subscriptionId) {
+  return `subscription:${subscriptionId}`;
+}
+
+// Never hand the webhook secret back out after creation
+function publicView({ secret, ...subscription }) {
+  return subscription;
+}
+
+function matches(subscription, hazard) {
+  if (subscription.types.length > 0 && !subscription.types.includes(hazard.type)) return false;
+  if (subscription.severities.length > 0 && !subscription.severities.includes(hazard.severity)) return false;
+  return containsPoint(subscription.area, hazard.latitude, hazard.longitude);
+}
+
+function createSubscriptions({ subscriptionStore, io, webhooks }) {
+  function listFor(ownerId) {
+    return subscriptionStore.find(sub => sub.ownerId === ownerId);
+  }
+
+  function findFor(ownerId, id) {
+    const subscription = subscriptionStore.findById(id);
+    return subscription && subscription.ownerId === ownerId ? subscription : null;
+  }
+
+  function create(ownerId, { name, area, types, severities, webhookUrl }) {
+    return subscriptionStore.insert({
+      id: `sub_${crypto.randomBytes(8).toString('hex')}`,
+      ownerId,
+      name,
+      area,
+      types: types || [],
+      severities: severities || [],
+      webhookUrl: webhookUrl || null,
+      secret: webhookUrl ? generateSecret() : null,
+      createdAt: new Date()
+    });
+  }
+
+  function remove(subscription) {
+    subscriptionStore.remove(subscription.id);
+    io.in(roomFor(subscription.id)).socketsLeave(roomFor(subscription.id));
+  }
+
+  // Forward a published hazard event (e.g. hazard.reported) to every
+  // subscription whose area and filters match
+  function dispatch(event, hazard) {
+    subscriptionStore.find(sub => matches(sub, hazard)).forEach(sub => {
+      io.to(roomFor(sub.id)).emit('subscription_event', { subscriptionId: sub.id, event, hazard });
+      if (sub.webhookUrl) {
+        webhooks.send({ url: sub.webhookUrl, event, data: hazard, meta: { subscriptionId: sub.id } });
+      }
+    });
+  }
+
+  return { MAX_PER_DEVICE, roomFor, publicView, listFor, findFor, create, remove, dispatch };
+}
+
+module.exports = { createSubscriptions };
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ApiError } = require('./errors');
+
+const MB = 1024 * 1024;
+const IMAGE_MAX_BYTES = (parseInt(process.env.UPLOAD_IMAGE_MAX_MB, 10) || 10) * MB;
+const VIDEO_MAX_BYTES = (parseInt(process.env.UPLOAD_VIDEO_MAX_MB, 10) || 100) * MB;
+
+// GPS coordinates in photo metadata are removed unless explicitly kept
+const KEEP_GPS = process.env.UPLOAD_KEEP_GPS === 'true';
+
+const THUMBNAIL_SIZE = 320;
+const THUMBS_DIR = 'thumbs';
+
+// ISO base media brands that are plain MP4 (not HEIC, AVIF or QuickTime)
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'M4V ', 'mmp4'];
+
+// Work out the real file type from its first bytes, ignoring the client's
+// filename and mimetype. Returns null for anything we don't accept.
+function sniffType(head) {
+  const ascii = (start, end) => head.toString('latin1', start, end);
+
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) {
+    return { kind: 'image', mime: 'image/jpeg', ext: 'jpg' };
+  }
+  if (head.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return { kind: 'image', mime: 'image/png', ext: 'png' };
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return { kind: 'image', mime: 'image/webp', ext: 'webp' };
+  }
+  if (ascii(4, 8) === 'ftyp' && MP4_BRANDS.includes(ascii(8, 12))) {
+    return { kind: 'video', mime: 'video/mp4', ext: 'mp4' };
+  }
+  if (head.slice(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])) && ascii(0, head.length).includes('webm')) {
+    return { kind: 'video', mime: 'video/webm', ext: 'webm' };
+  }
+  return null;
+}
+
+function readHead(filePath, bytes = 64) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(bytes);
+    const read = fs.readSync(fd, head, 0, bytes, 0);
+    return head.slice(0, read);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Re-encode the image upright and without metadata (or with it, when GPS
+// is kept on purpose). Also proves the file really decodes as an image.
+async function sanitizeImage(filePath, type) {
+  let pipeline = sharp(filePath, { failOn: 'error' }).rotate();
+  if (KEEP_GPS) pipeline = pipeline.withMetadata();
+
+  if (type.ext === 'jpg') pipeline = pipeline.jpeg({ quality: 90 });
+  else if (type.ext === 'png') pipeline = pipeline.png();
+  else pipeline = pipeline.webp({ quality: 90 });
+
+  try {
+    return await pipeline.toBuffer();
+  } catch (error) {
+    throw new ApiError(422, 'INVALID_IMAGE', 'Image could not be decoded', 'image');
+  }
+}
+
+function createThumbnail(data) {
+  return sharp(data)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 75 })
+    .toBuffer();
+}
+
+// Validate, clean and store an express-fileupload temp file in the media
+// store under its content hash. Identical uploads end up as the same object.
+// Images are only taken with `redacted` set, i.e. once the client has said
+// what it blurred in them, so no unredacted photo is ever stored.
+async function processUpload(file, mediaStore, { redacted = false } = {}) {
+  try {
+    const type = sniffType(readHead(file.tempFilePath));
+    if (!type) {
+      throw new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Only JPEG, PNG, WebP, MP4 and WebM files are accepted', 'file');
+    }
+
+    const maxBytes = type.kind === 'image' ? IMAGE_MAX_BYTES : VIDEO_MAX_BYTES;
+    if (file.size > maxBytes) {
+      throw new ApiError(413, 'FILE_TOO_LARGE', `${type.kind} uploads are limited to ${maxBytes / MB}MB`, 'file');
+    }
+    if (type.kind === 'image' && !redacted) {
+      throw new ApiError(400, 'REDACTION_REQUIRED', 'Images must be sent with the redaction metadata of the faces and plates blurred in them', 'redaction');
+    }
+
+    let hash;
+    let deduplicated;
+    let thumbnailUrl = null;
+
+    if (type.kind === 'image') {
+      const data = await sanitizeImage(file.tempFilePath, type);
+      hash = crypto.createHash('sha256').update(data).digest('hex');
+
+      const key = `${hash}.${type.ext}`;
+      deduplicated = await mediaStore.exists(key);
+      if (!deduplicated) await mediaStore.putBuffer(key, data, type.mime);
+
+      const thumbKey = `${THUMBS_DIR}/${hash}.jpg`;
+      if (!(await mediaStore.exists(thumbKey))) {
+        await mediaStore.putBuffer(thumbKey, await createThumbnail(data), 'image/jpeg');
+      }
+      thumbnailUrl = `/uploads/${thumbKey}`;
+    } else {
+      hash = await hashFile(file.tempFilePath);
+
+      const key = `${hash}.${type.ext}`;
+      deduplicated = await mediaStore.exists(key);
+      if (!deduplicated) await mediaStore.putFile(key, file.tempFilePath, type.mime);
+    }
+
+    return {
+      fileUrl: `/uploads/${hash}.${type.ext}`,
+      thumbnailUrl,
+      fileType: type.kind,
+      mimeType: type.mime,
+      hash,
+      deduplicated
+    };
+  } finally {
+    fs.rm(file.tempFilePath, { force: true }, () => {});
+  }
+}
+
+// Thumbnail of a content-addressed image url, if it has one
+function thumbnailUrlFor(fileUrl) {
+  const match = /^\/uploads\/([a-f0-9]{64})\.(jpg|png|webp)$/.exec(fileUrl || '');
+  return match ? `/uploads/${THUMBS_DIR}/${match[1]}.jpg` : null;
+}
+
+module.exports = {
+  IMAGE_MAX_BYTES,
+  VIDEO_MAX_BYTES,
+  sniffType,
+  processUpload,
+  thumbnailUrlFor
+};
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { sniffType, processUpload } = require('./uploadPipeline');
+
+const JPEG = { kind: 'image', mime: 'image/jpeg', ext: 'jpg' };
+const PNG = { kind: 'image', mime: 'image/png', ext: 'png' };
+const WEBP = { kind: 'image', mime: 'image/webp', ext: 'webp' };
+
+// A 4x4 red square encoded as each image format
+const encode = format => sharp({ create: { width: 4, height: 4, channels: 3, background: '#c00' } })[format]().toBuffer();
+
+test('real JPEG, PNG and WebP files are recognised', async () => {
+  assert.deepEqual(sniffType(await encode('jpeg')), JPEG);
+  assert.deepEqual(sniffType(await encode('png')), PNG);
+  assert.deepEqual(sniffType(await encode('webp')), WEBP);
+});
+
+test('only the first bytes are needed', () => {
+  assert.deepEqual(sniffType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10])), JPEG);
+  assert.deepEqual(sniffType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), PNG);
+  assert.deepEqual(sniffType(Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')])), WEBP);
+});
+
+test('videos are recognised by their container', () => {
+  const mp4 = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom')]);
+  assert.deepEqual(sniffType(mp4), { kind: 'video', mime: 'video/mp4', ext: 'mp4' });
+
+  const webm = Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x82, 0x84]), Buffer.from('webm')]);
+  assert.deepEqual(sniffType(webm), { kind: 'video', mime: 'video/webm', ext: 'webm' });
+});
+
+test('near misses are rejected', () => {
+  assert.equal(sniffType(Buffer.from([0xff, 0xd8])), null);
+  assert.equal(sniffType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x00])), null);
+  assert.equal(sniffType(Buffer.from('RIFF\0\0\0\0WAVEfmt ')), null);
+  assert.equal(sniffType(Buffer.from('\0\0\0\x18ftypqt  ')), null);
+  assert.equal(sniffType(Buffer.alloc(0)), null);
+});
+
+test('a text file renamed to .jpg is not an image', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const tempFilePath = path.join(dir, 'pothole.jpg');
+  fs.writeFileSync(tempFilePath, 'just some notes, not a photo\n');
+
+  assert.equal(sniffType(fs.readFileSync(tempFilePath)), null);
+
+  const file = { name: 'pothole.jpg', mimetype: 'image/jpeg', size: 29, tempFilePath };
+  await assert.rejects(processUpload(file, null, { redacted: true }), { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+});
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// One record per /api/upload call, next to the content-addressed file:
+// who uploaded it and what the client did to it first. `redaction` lists
+// the faces and plates it blurred and the models that found them; images
+// always have it, videos don't. `overlays` are the detections it shows
+// over the image, kept as data rather than drawn into it.
+function createUploadRecords(uploadStore) {
+  function record({ file, deviceId, redaction = null, overlays = [] }) {
+    return uploadStore.insert({
+      id: `upl_${crypto.randomBytes(8).toString('hex')}`,
+      fileUrl: file.fileUrl,
+      thumbnailUrl: file.thumbnailUrl,
+      fileType: file.fileType,
+      hash: file.hash,
+      uploadedBy: deviceId,
+      uploadedAt: new Date(),
+      redaction: redaction && {
+        ...redaction,
+        faces: redaction.regions.filter(region => region.kind === 'face').length,
+        plates: redaction.regions.filter(region => region.kind === 'plate').length
+      },
+      overlays
+    });
+  }
+
+  // An upload as other records refer to it: without the per-region detail
+  function summary(upload) {
+    const { redaction } = upload;
+    return {
+      uploadId: upload.id,
+      redaction: redaction && { version: redaction.version, models: redaction.models, faces: redaction.faces, plates: redaction.plates }
+    };
+  }
+
+  return { record, findById: id => uploadStore.findById(id), summary };
+}
+
+module.exports = { createUploadRecords };
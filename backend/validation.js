@@ -0,0 +1,332 @@
+const { sendError } = require('./errors');
+const { STATUS } = require('./hazardLifecycle');
+const { WEBHOOK_EVENTS } = require('./hazardEvents');
+const { DELIVERY_STATUS } = require('./webhooks');
+const { AUDIT_ACTIONS } = require('./auditLog');
+
+const HAZARD_TYPES = ['pothole', 'accident', 'debris', 'animal'];
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Field specs: { type: 'number' | 'integer' | 'boolean' | 'string' | 'enum' |
+// 'list' | 'path' | 'date' | 'bbox' | 'box' | 'object' | 'array', required,
+// min, max, maxLength, values, schema, items }.
+// A list is an array of enum values; a path is an array of at most
+// maxLength [lat, lng] pairs; a date is an ISO 8601 string, returned as a
+// Date; a bbox is "minLng,minLat,maxLng,maxLat"; a box is an image region
+// [x, y, width, height] in pixels. An object is checked against its
+// `schema` and an array of at most maxLength against its `items` spec.
+// Query strings are coerced
+// to numbers and booleans ("true" / "false") and lists may be
+// comma-separated; JSON bodies must already send the real types.
+const LATITUDE = { type: 'number', min: -90, max: 90 };
+const LONGITUDE = { type: 'number', min: -180, max: 180 };
+const HAZARD_ID = { type: 'integer', required: true, min: 1 };
+const MEDIA_URL = { type: 'string', maxLength: 512 };
+const REASON = { type: 'string', maxLength: 500 };
+// Compass heading in degrees and speed in m/s, as browsers report them
+const HEADING = { type: 'number', min: 0, max: 360 };
+const SPEED = { type: 'number', min: 0, max: 100 };
+// Geohash length for analytics cells: 5 is ~5km across, 7 ~150m
+const GEOHASH_PRECISION = { type: 'integer', min: 1, max: 9 };
+// A region of an uploaded image that the client blurred
+const REDACTION_REGION = {
+  kind: { type: 'enum', values: ['face', 'plate'], required: true },
+  bbox: { type: 'box', required: true },
+  score: { type: 'number', min: 0, max: 1 },
+  method: { type: 'enum', values: ['edges', 'vehicle-zone'] }
+};
+// A detection shown over an uploaded image, kept as data instead of pixels
+const DETECTION_OVERLAY = {
+  type: { type: 'enum', values: HAZARD_TYPES, required: true },
+  class: { type: 'string', required: true, maxLength: 64 },
+  bbox: { type: 'box', required: true },
+  confidence: { type: 'number', min: 0, max: 100 },
+  severity: { type: 'enum', values: SEVERITIES },
+  detector: { type: 'string', maxLength: 64 },
+  rulesVersion: { type: 'string', maxLength: 32 }
+};
+// Filters shared by hazard listings and exports
+const HAZARD_FILTERS = {
+  status: { type: 'enum', values: ['active', ...Object.values(STATUS)] },
+  bbox: { type: 'bbox' },
+  type: { type: 'list', values: HAZARD_TYPES },
+  severity: { type: 'list', values: SEVERITIES },
+  from: { type: 'date' },
+  to: { type: 'date' },
+  reporter: { type: 'string', maxLength: 64 },
+  minConfidence: { type: 'number', min: 0, max: 100 }
+};
+
+const HAZARD_LIST_QUERY = {
+  ...HAZARD_FILTERS,
+  sort: { type: 'enum', values: ['newest', 'oldest', 'severity', 'distance'] },
+  // The point to measure from when sorting by distance
+  latitude: LATITUDE,
+  longitude: LONGITUDE,
+  cursor: { type: 'string', maxLength: 512 },
+  limit: { type: 'integer', min: 1, max: 200 }
+};
+
+const schemas = {
+  reportHazard: {
+    type: { type: 'enum', values: HAZARD_TYPES, required: true },
+    severity: { type: 'enum', values: SEVERITIES, required: true },
+    latitude: { ...LATITUDE, required: true },
+    longitude: { ...LONGITUDE, required: true },
+    confidence: { type: 'number', min: 0, max: 100 },
+    imageUrl: MEDIA_URL,
+    // Links the report to the /api/upload record of its image
+    uploadId: { type: 'string', maxLength: 64 }
+  },
+  // Multipart fields sent with /api/upload, JSON-decoded by the route
+  uploadMetadata: {
+    redaction: {
+      type: 'object',
+      schema: {
+        version: { type: 'string', required: true, maxLength: 32 },
+        models: {
+          type: 'object',
+          required: true,
+          schema: {
+            faces: { type: 'string', required: true, maxLength: 100 },
+            plates: { type: 'string', required: true, maxLength: 100 }
+          }
+        },
+        regions: { type: 'array', required: true, maxLength: 200, items: { type: 'object', schema: REDACTION_REGION } }
+      }
+    },
+    overlays: { type: 'array', maxLength: 100, items: { type: 'object', schema: DETECTION_OVERLAY } }
+  },
+  resolveHazard: {
+    hazardId: HAZARD_ID,
+    latitude: { ...LATITUDE, required: true },
+    longitude: { ...LONGITUDE, required: true },
+    imageUrl: MEDIA_URL
+  },
+  hazardFeedback: {
+    hazardId: HAZARD_ID,
+    latitude: { ...LATITUDE, required: true },
+    longitude: { ...LONGITUDE, required: true },
+    reason: REASON
+  },
+  nearbyQuery: {
+    latitude: { ...LATITUDE, required: true },
+    longitude: { ...LONGITUDE, required: true },
+    radius: { type: 'number', min: 0, max: 50 },
+    heading: HEADING,
+    speed: SPEED
+  },
+  hazardListQuery: HAZARD_LIST_QUERY,
+  hazardExportQuery: HAZARD_FILTERS,
+  trendsQuery: {
+    ...HAZARD_FILTERS,
+    interval: { type: 'enum', values: ['hour', 'day', 'week', 'month'] }
+  },
+  hotspotsQuery: {
+    ...HAZARD_FILTERS,
+    precision: GEOHASH_PRECISION,
+    limit: { type: 'integer', min: 1, max: 500 }
+  },
+  resolutionQuery: {
+    ...HAZARD_FILTERS,
+    precision: GEOHASH_PRECISION
+  },
+  reportersQuery: {
+    ...HAZARD_FILTERS,
+    limit: { type: 'integer', min: 1, max: 500 }
+  },
+  // One row of a bulk import, coerced since CSV cells are all strings
+  importHazardRow: {
+    type: { type: 'enum', values: HAZARD_TYPES, required: true },
+    severity: { type: 'enum', values: SEVERITIES, required: true },
+    latitude: { ...LATITUDE, required: true },
+    longitude: { ...LONGITUDE, required: true },
+    confidence: { type: 'number', min: 0, max: 100 }
+  },
+  importQuery: {
+    source: { type: 'string', required: true, maxLength: 100 },
+    atomic: { type: 'boolean' }
+  },
+  registerDevice: {
+    label: { type: 'string', maxLength: 100 },
+    platform: { type: 'string', maxLength: 100 }
+  },
+  location: {
+    latitude: { ...LATITUDE, required: true },
+    longitude: { ...LONGITUDE, required: true },
+    heading: HEADING,
+    speed: SPEED
+  },
+  route: {
+    route: { type: 'path', required: true, maxLength: 1000 }
+  },
+  acknowledgeAlert: {
+    hazardId: HAZARD_ID
+  },
+  snoozeAlerts: {
+    hazardId: { ...HAZARD_ID, required: false },
+    minutes: { type: 'integer', required: true, min: 1, max: 240 }
+  },
+  createSubscription: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    shape: { type: 'enum', values: ['circle', 'polygon'], required: true },
+    latitude: LATITUDE,
+    longitude: LONGITUDE,
+    radiusKm: { type: 'number', min: 0.01, max: 50 },
+    polygon: { type: 'path', maxLength: 500 },
+    types: { type: 'list', values: HAZARD_TYPES },
+    severities: { type: 'list', values: SEVERITIES },
+    webhookUrl: { type: 'string', maxLength: 2048 }
+  },
+  watchSubscription: {
+    subscriptionId: { type: 'string', required: true, maxLength: 64 }
+  },
+  createWebhook: {
+    url: { type: 'string', required: true, maxLength: 2048 },
+    events: { type: 'list', values: WEBHOOK_EVENTS },
+    description: { type: 'string', maxLength: 200 }
+  },
+  // Flagged: disputed, or with at least one dispute against it
+  moderationQueue: {
+    ...HAZARD_LIST_QUERY,
+    queue: { type: 'enum', values: ['flagged', 'disputed', 'all'] }
+  },
+  moderateHazard: {
+    type: { type: 'enum', values: HAZARD_TYPES },
+    severity: { type: 'enum', values: SEVERITIES },
+    latitude: LATITUDE,
+    longitude: LONGITUDE,
+    reason: REASON
+  },
+  moderationAction: {
+    reason: REASON
+  },
+  deviceListQuery: {
+    blocked: { type: 'boolean' },
+    limit: { type: 'integer', min: 1, max: 500 }
+  },
+  auditQuery: {
+    action: { type: 'enum', values: AUDIT_ACTIONS },
+    targetType: { type: 'enum', values: ['hazard', 'device'] },
+    targetId: { type: 'string', maxLength: 64 },
+    limit: { type: 'integer', min: 1, max: 500 }
+  },
+  webhookDeliveryQuery: {
+    webhookId: { type: 'string', maxLength: 64 },
+    status: { type: 'enum', values: Object.values(DELIVERY_STATUS) },
+    limit: { type: 'integer', min: 1, max: 500 }
+  }
+};
+
+function checkField(name, spec, raw, coerce) {
+  const fail = (message) => ({ error: { code: 'INVALID_FIELD', message: `${name} ${message}`, field: name } });
+
+  if (raw === undefined || raw === null || raw === '') {
+    if (spec.required) {
+      return { error: { code: 'MISSING_FIELD', message: `${name} is required`, field: name } };
+    }
+    return { value: undefined };
+  }
+
+  let value = raw;
+  if (spec.type === 'number' || spec.type === 'integer') {
+    if (coerce && typeof value === 'string' && value.trim() !== '') value = Number(value);
+    if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+    if (spec.type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+    if (spec.min != null && value < spec.min) return fail(`must be at least ${spec.min}`);
+    if (spec.max != null && value > spec.max) return fail(`must be at most ${spec.max}`);
+  } else if (spec.type === 'boolean') {
+    if (coerce && (value === 'true' || value === 'false')) value = value === 'true';
+    if (typeof value !== 'boolean') return fail('must be true or false');
+  } else if (spec.type === 'string') {
+    if (typeof value !== 'string') return fail('must be a string');
+    if (spec.maxLength != null && value.length > spec.maxLength) {
+      return fail(`must be at most ${spec.maxLength} characters`);
+    }
+  } else if (spec.type === 'enum') {
+    if (!spec.values.includes(value)) return fail(`must be one of: ${spec.values.join(', ')}`);
+  } else if (spec.type === 'list') {
+    if (coerce && typeof value === 'string') value = value.split(',').map(item => item.trim());
+    if (!Array.isArray(value) || !value.every(item => spec.values.includes(item))) {
+      return fail(`must be a list of: ${spec.values.join(', ')}`);
+    }
+    value = [...new Set(value)];
+  } else if (spec.type === 'path') {
+    if (!Array.isArray(value)) return fail('must be an array of [latitude, longitude] pairs');
+    if (spec.maxLength != null && value.length > spec.maxLength) {
+      return fail(`must have at most ${spec.maxLength} points`);
+    }
+    const inRange = (n, spec) => typeof n === 'number' && Number.isFinite(n) && n >= spec.min && n <= spec.max;
+    const valid = value.every(point => Array.isArray(point) && point.length === 2 &&
+      inRange(point[0], LATITUDE) && inRange(point[1], LONGITUDE));
+    if (!valid) return fail('must be an array of [latitude, longitude] pairs');
+  } else if (spec.type === 'date') {
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return fail('must be an ISO 8601 date');
+    value = date;
+  } else if (spec.type === 'bbox') {
+    const parts = typeof value === 'string' ? value.split(',').map(part => (part.trim() === '' ? NaN : Number(part))) : [];
+    const [minLng, minLat, maxLng, maxLat] = parts;
+    const valid = parts.length === 4 && parts.every(Number.isFinite) &&
+      Math.abs(minLng) <= 180 && Math.abs(maxLng) <= 180 &&
+      Math.abs(minLat) <= 90 && Math.abs(maxLat) <= 90 && minLat <= maxLat;
+    if (!valid) return fail('must be minLng,minLat,maxLng,maxLat');
+    value = { minLng, minLat, maxLng, maxLat };
+  } else if (spec.type === 'box') {
+    const valid = Array.isArray(value) && value.length === 4 &&
+      value.every(n => typeof n === 'number' && Number.isFinite(n)) && value[2] >= 0 && value[3] >= 0;
+    if (!valid) return fail('must be [x, y, width, height]');
+  } else if (spec.type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+    const result = validate(spec.schema, value);
+    if (result.error) {
+      const { field, message } = result.error;
+      return { error: { ...result.error, message: `${name}.${message}`, field: `${name}.${field}` } };
+    }
+    value = result.value;
+  } else if (spec.type === 'array') {
+    if (!Array.isArray(value)) return fail('must be an array');
+    if (spec.maxLength != null && value.length > spec.maxLength) {
+      return fail(`must have at most ${spec.maxLength} items`);
+    }
+    const items = [];
+    for (const [index, item] of value.entries()) {
+      const result = checkField(`${name}[${index}]`, { ...spec.items, required: true }, item, coerce);
+      if (result.error) return result;
+      items.push(result.value);
+    }
+    value = items;
+  }
+
+  return { value };
+}
+
+// Check `input` against a schema. Returns { value } with only the known,
+// coerced fields, or { error } for the first failing field.
+function validate(schema, input, { coerce = false } = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: { code: 'INVALID_BODY', message: 'Expected a JSON object', field: null } };
+  }
+
+  const value = {};
+  for (const [name, spec] of Object.entries(schema)) {
+    const result = checkField(name, spec, input[name], coerce);
+    if (result.error) return result;
+    if (result.value !== undefined) value[name] = result.value;
+  }
+  return { value };
+}
+
+// Express middleware validating req.body or req.query in place
+function validateRequest(source, schema) {
+  return (req, res, next) => {
+    const { value, error } = validate(schema, req[source], { coerce: source === 'query' });
+    if (error) {
+      return sendError(res, 400, error.code, error.message, error.field);
+    }
+    req[source] = value;
+    next();
+  };
+}
+
+module.exports = { HAZARD_TYPES, SEVERITIES, schemas, validate, validateRequest };
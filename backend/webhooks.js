@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+// Signed webhook POSTs with exponential-backoff retries. Receivers verify
+// X-Hazard-Signature = "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+// using the X-Hazard-Timestamp header, and should reject stale timestamps.
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const TIMEOUT_MS = 10000;
+// Deliveries in flight at once; the rest wait their turn in memory
+const MAX_CONCURRENT = Number(process.env.WEBHOOK_MAX_CONCURRENT) || 10;
+// Delivered entries are dropped from the log after this long. Dead letters
+// of admin webhooks stay until an admin retries or discards them; those of
+// subscriptions, which any device can create, go after the same time and
+// only the latest few are kept per subscription.
+const LOG_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_DEAD_LETTERS_PER_SUBSCRIPTION = 50;
+
+// Subscription webhooks may only reach public addresses, so devices can't
+// point the server at itself, the local network or cloud metadata services.
+// WEBHOOK_ALLOW_PRIVATE=true lifts this for local development.
+const ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  RETRYING: 'retrying',
+  DELIVERED: 'delivered',
+  DEAD: 'dead'
+};
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// Delay before attempt n + 1: 1s, 2s, 4s, ... with some jitter
+function retryDelay(attempts) {
+  const base = RETRY_BASE_MS * 2 ** (attempts - 1);
+  return base + Math.floor(Math.random() * base * 0.2);
+}
+
+// http(s) URLs only; anything else can't be delivered to
+function isWebhookUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPrivateAddress(address) {
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Resolves to true when every address the URL's host resolves to is
+// public. Hosts that don't resolve fail too.
+async function isPublicWebhookUrl(value) {
+  if (!isWebhookUrl(value)) return false;
+  if (ALLOW_PRIVATE_TARGETS) return true;
+
+  const host = new URL(value).hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true }).catch(() => [])).map(({ address }) => address);
+  return addresses.length > 0 && !addresses.some(isPrivateAddress);
+}
+
+// Every delivery is a record in deliveryStore, so the log survives restarts
+// and unfinished deliveries resume on boot. Secrets are looked up when
+// sending through secretFor(delivery) and never written to the log.
+class WebhookDispatcher {
+  constructor({ deliveryStore, secretFor }) {
+    this.deliveryStore = deliveryStore;
+    this.secretFor = secretFor;
+    this.inFlight = 0;
+    // Delivery ids in the order they were queued
+    this.waiting = new Set();
+  }
+
+  // Queue a delivery of `data` as `event` to url. `meta` names the webhook
+  // or subscription it belongs to. Returns the delivery record.
+  send({ url, event, data, meta = {} }) {
+    // The delivery id doubles as an idempotency key for receivers
+    const id = `whd_${crypto.randomBytes(8).toString('hex')}`;
+    const createdAt = new Date();
+    const delivery = this.deliveryStore.insert({
+      id,
+      webhookId: meta.webhookId || null,
+      subscriptionId: meta.subscriptionId || null,
+      url,
+      event,
+      body: JSON.stringify({ id, event, occurredAt: createdAt, ...meta, data }),
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      lastStatusCode: null,
+      createdAt,
+      nextAttemptAt: createdAt,
+      deliveredAt: null
+    });
+
+    this.attempt(delivery.id);
+    return delivery;
+  }
+
+  // Run an attempt now if there is room, otherwise once one finishes
+  attempt(id) {
+    if (this.inFlight >= MAX_CONCURRENT) {
+      this.waiting.add(id);
+      return;
+    }
+
+    this.inFlight++;
+    this.deliver(id)
+      .catch(error => console.error(`❌ Webhook delivery ${id} failed:`, error.message))
+      .finally(() => {
+        this.inFlight--;
+        const [next] = this.waiting;
+        if (next) {
+          this.waiting.delete(next);
+          this.attempt(next);
+        }
+      });
+  }
+
+  async deliver(id) {
+    let delivery = this.deliveryStore.findById(id);
+    if (!delivery || delivery.status === DELIVERY_STATUS.DELIVERED || delivery.status === DELIVERY_STATUS.DEAD) {
+      return;
+    }
+
+    const secret = this.secretFor(delivery);
+    if (!secret) {
+      this.deliveryStore.update(id, { status: DELIVERY_STATUS.DEAD, lastError: 'webhook no longer exists', nextAttemptAt: null });
+      this.trimDeadLetters(delivery.subscriptionId);
+      return;
+    }
+    // Checked again on every delivery, as DNS may have moved since
+    if (delivery.subscriptionId && !(await isPublicWebhookUrl(delivery.url))) {
+      this.deliveryStore.update(id, { status: DELIVERY_STATUS.DEAD, lastError: 'address is not public', nextAttemptAt: null });
+      this.trimDeadLetters(delivery.subscriptionId);
+      return;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    let failure;
+    let statusCode = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'vw-hazard-webhooks',
+          'X-Hazard-Event': delivery.event,
+          'X-Hazard-Delivery': delivery.id,
+          'X-Hazard-Timestamp': String(timestamp),
+          'X-Hazard-Signature': sign(secret, timestamp, delivery.body)
+        },
+        body: delivery.body,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+        redirect: 'manual'
+      });
+      statusCode = response.status;
+      if (response.ok) {
+        this.deliveryStore.update(id, {
+          status: DELIVERY_STATUS.DELIVERED,
+          attempts,
+          lastStatusCode: statusCode,
+          lastError: null,
+          deliveredAt: new Date(),
+          nextAttemptAt: null
+        });
+        console.log(`📤 Webhook ${delivery.event} delivered to ${delivery.url} (attempt ${attempts})`);
+        return;
+      }
+      failure = `HTTP ${statusCode}`;
+    } catch (error) {
+      failure = error.name === 'TimeoutError' ? 'timeout' : error.message;
+    }
+
+    if (attempts >= MAX_ATTEMPTS) {
+      delivery = this.deliveryStore.update(id, {
+        status: DELIVERY_STATUS.DEAD,
+        attempts,
+        lastStatusCode: statusCode,
+        lastError: failure,
+        nextAttemptAt: null
+      });
+      console.warn(`❌ Webhook ${delivery.event} to ${delivery.url} dead-lettered after ${attempts} attempts: ${failure}`);
+      this.trimDeadLetters(delivery.subscriptionId);
+      return;
+    }
+
+    const delay = retryDelay(attempts);
+    this.deliveryStore.update(id, {
+      status: DELIVERY_STATUS.RETRYING,
+      attempts,
+      lastStatusCode: statusCode,
+      lastError: failure,
+      nextAttemptAt: new Date(Date.now() + delay)
+    });
+    console.warn(`⚠️ Webhook ${delivery.event} to ${delivery.url} failed (${failure}), retrying in ${delay}ms`);
+    this.schedule(id, delay);
+  }
+
+  schedule(id, delay) {
+    setTimeout(() => this.attempt(id), Math.max(0, delay)).unref();
+  }
+
+  // Pick up deliveries a previous run didn't finish
+  resume() {
+    const unfinished = this.deliveryStore.find(d =>
+      d.status === DELIVERY_STATUS.PENDING || d.status === DELIVERY_STATUS.RETRYING);
+    unfinished.forEach(d => this.schedule(d.id, new Date(d.nextAttemptAt).getTime() - Date.now()));
+    return unfinished.length;
+  }
+
+  // Give a dead letter a fresh set of attempts
+  retry(id) {
+    const delivery = this.deliveryStore.findById(id);
+    if (!delivery || delivery.status !== DELIVERY_STATUS.DEAD) return null;
+
+    const updated = this.deliveryStore.update(id, {
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: new Date()
+    });
+    this.attempt(id);
+    return updated;
+  }
+
+  // Drop all but the newest dead letters of a subscription
+  trimDeadLetters(subscriptionId) {
+    if (!subscriptionId) return;
+    this.deliveryStore
+      .find(d => d.subscriptionId === subscriptionId && d.status === DELIVERY_STATUS.DEAD)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(MAX_DEAD_LETTERS_PER_SUBSCRIPTION)
+      .forEach(d => this.deliveryStore.remove(d.id));
+  }
+
+  prune(now = Date.now()) {
+    const expired = d => now - new Date(d.status === DELIVERY_STATUS.DELIVERED ? d.deliveredAt : d.createdAt).getTime() > LOG_RETENTION_MS;
+    this.deliveryStore
+      .find(d => (d.status === DELIVERY_STATUS.DELIVERED || (d.status === DELIVERY_STATUS.DEAD && d.subscriptionId)) && expired(d))
+      .forEach(d => this.deliveryStore.remove(d.id));
+  }
+}
+
+module.exports = { WebhookDispatcher, DELIVERY_STATUS, generateSecret, sign, isWebhookUrl, isPublicWebhookUrl, MAX_ATTEMPTS };
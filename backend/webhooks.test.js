@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WebhookDispatcher, DELIVERY_STATUS, isPublicWebhookUrl } = require('./webhooks');
+const MemoryStore = require('./storage/memoryStore');
+
+test('subscription webhooks must point at public addresses', async () => {
+  const blocked = [
+    'http://127.0.0.1:3001/',
+    'http://localhost/',
+    'http://169.254.169.254/latest/meta-data',
+    'http://10.0.0.5/',
+    'http://172.20.1.1/',
+    'http://192.168.1.10/',
+    'http://[::1]/',
+    'http://[fd00::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'ftp://8.8.8.8/'
+  ];
+  for (const url of blocked) {
+    assert.equal(await isPublicWebhookUrl(url), false, url);
+  }
+  assert.equal(await isPublicWebhookUrl('https://8.8.8.8/hooks'), true);
+  assert.equal(await isPublicWebhookUrl('https://[2606:4700::1111]/hooks'), true);
+});
+
+test('subscription dead letters are capped and expire', () => {
+  const deliveryStore = new MemoryStore();
+  const webhooks = new WebhookDispatcher({ deliveryStore, secretFor: () => 'secret' });
+  const dead = (subscriptionId, webhookId, createdAt) => deliveryStore.insert({
+    id: `whd_${deliveryStore.count()}`,
+    subscriptionId,
+    webhookId,
+    status: DELIVERY_STATUS.DEAD,
+    createdAt
+  });
+
+  const now = Date.now();
+  for (let i = 0; i < 60; i++) dead('sub_a', null, new Date(now - i * 1000));
+  webhooks.trimDeadLetters('sub_a');
+  assert.equal(deliveryStore.count(), 50);
+
+  const old = new Date(now - 8 * 24 * 60 * 60 * 1000);
+  dead('sub_b', null, old);
+  dead(null, 'wh_a', old);
+  webhooks.prune(now);
+  assert.equal(deliveryStore.find(d => d.subscriptionId === 'sub_b').length, 0);
+  assert.equal(deliveryStore.find(d => d.webhookId === 'wh_a').length, 1);
+});
@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { API_URL, adminApi, apiErrorMessage, getAdminCredentials, setAdminCredentials } from './api';
+
+const QUEUES = [
+  { value: 'flagged', label: 'Flagged' },
+  { value: 'disputed', label: 'Disputed' },
+  { value: 'all', label: 'All hazards' }
+];
+
+const HAZARD_TYPES = ['pothole', 'accident', 'debris', 'animal'];
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Statuses the server lets a moderator resolve or reopen a hazard from
+// (TRANSITIONS in backend/hazardLifecycle.js). Pending hazards allow neither.
+const RESOLVABLE_STATUSES = ['reported', 'confirmed', 'disputed', 'reopened'];
+const REOPENABLE_STATUSES = ['resolved', 'expired'];
+
+// Moderation console for the /api/admin/moderation endpoints: review
+// flagged hazards, correct or remove them, and block abusive devices.
+// Every action asks for a reason, which goes into the audit log.
+function AdminConsole() {
+  const [credentials, setCredentials] = useState(getAdminCredentials);
+  const [loginForm, setLoginForm] = useState({ key: '', user: '' });
+  const [error, setError] = useState(null);
+
+  const [queue, setQueue] = useState('flagged');
+  const [hazards, setHazards] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [editing, setEditing] = useState(null);
+
+  const [blockedDevices, setBlockedDevices] = useState([]);
+  const [blockForm, setBlockForm] = useState({ deviceId: '', reason: '' });
+  const [auditEntries, setAuditEntries] = useState([]);
+
+  const handleError = useCallback((err, fallback) => {
+    const code = err.response && err.response.data && err.response.data.error && err.response.data.error.code;
+    if (code === 'INVALID_ADMIN_KEY' || code === 'ADMIN_DISABLED') {
+      setAdminCredentials(null);
+      setCredentials(null);
+    }
+    setError(apiErrorMessage(err, fallback));
+  }, []);
+
+  const loadQueue = useCallback((nextCursor) => {
+    return adminApi.get('/moderation/hazards', { params: { queue, limit: 20, cursor: nextCursor } })
+      .then((response) => {
+        setHazards(prev => (nextCursor ? [...prev, ...response.data.hazards] : response.data.hazards));
+        setCursor(response.data.nextCursor);
+        setTotal(response.data.total);
+      })
+      .catch(err => handleError(err, 'Could not load the review queue'));
+  }, [queue, handleError]);
+
+  const loadDevices = useCallback(() => {
+    return adminApi.get('/moderation/devices', { params: { blocked: true } })
+      .then(response => setBlockedDevices(response.data.devices))
+      .catch(err => handleError(err, 'Could not load blocked devices'));
+  }, [handleError]);
+
+  const loadAudit = useCallback(() => {
+    return adminApi.get('/moderation/audit', { params: { limit: 50 } })
+      .then(response => setAuditEntries(response.data.entries))
+      .catch(err => handleError(err, 'Could not load the audit log'));
+  }, [handleError]);
+
+  useEffect(() => {
+    if (!credentials) return;
+    loadQueue(null);
+    loadDevices();
+    loadAudit();
+  }, [credentials, loadQueue, loadDevices, loadAudit]);
+
+  const signIn = (e) => {
+    e.preventDefault();
+    const next = { key: loginForm.key.trim(), user: loginForm.user.trim() };
+    setAdminCredentials(next);
+    setCredentials(next);
+    setError(null);
+  };
+
+  const signOut = () => {
+    setAdminCredentials(null);
+    setCredentials(null);
+  };
+
+  // Ask for a reason, run the request and refresh what it may have changed.
+  // Cancelling the prompt cancels the action.
+  const moderate = (question, request) => {
+    const reason = window.prompt(`${question}\n\nReason (saved in the audit log):`);
+    if (reason === null) return;
+
+    setError(null);
+    request(reason.trim() || undefined)
+      .then(() => Promise.all([loadQueue(null), loadDevices(), loadAudit()]))
+      .catch(err => handleError(err, 'The action failed'));
+  };
+
+  const saveEdit = () => {
+    const { id, type, severity, latitude, longitude } = editing;
+    moderate(`Save changes to hazard ${id}?`, reason => adminApi.patch(`/moderation/hazards/${id}`, {
+      type,
+      severity,
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude),
+      reason
+    }).then(() => setEditing(null)));
+  };
+
+  const blockDevice = (e) => {
+    e.preventDefault();
+    const deviceId = blockForm.deviceId.trim();
+    if (!deviceId) return;
+
+    setError(null);
+    adminApi.post(`/moderation/devices/${encodeURIComponent(deviceId)}/block`, { reason: blockForm.reason.trim() || undefined })
+      .then(() => {
+        setBlockForm({ deviceId: '', reason: '' });
+        return Promise.all([loadDevices(), loadAudit()]);
+      })
+      .catch(err => handleError(err, 'Could not block the device'));
+  };
+
+  if (!credentials) {
+    return (
+      <div className="detect-view">
+        <form className="report-section" onSubmit={signIn}>
+          <h2>🛡️ Moderation Console</h2>
+          {error && <p className="admin-error">{error}</p>}
+          <div className="form-group">
+            <label>Admin key</label>
+            <input
+              type="password"
+              value={loginForm.key}
+              onChange={(e) => setLoginForm({ ...loginForm, key: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label>Your name (for the audit log)</label>
+            <input
+              type="text"
+              value={loginForm.user}
+              onChange={(e) => setLoginForm({ ...loginForm, user: e.target.value })}
+            />
+          </div>
+          <button type="submit" className="location-btn" disabled={!loginForm.key.trim()}>
+            Sign in
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="alerts-view admin-view">
+      <div className="admin-toolbar">
+        <h2>🛡️ Review Queue ({total})</h2>
+        <select value={queue} onChange={(e) => setQueue(e.target.value)}>
+          {QUEUES.map(q => <option key={q.value} value={q.value}>{q.label}</option>)}
+        </select>
+        <button onClick={signOut}>Sign out{credentials.user ? ` (${credentials.user})` : ''}</button>
+      </div>
+      {error && <p className="admin-error">{error}</p>}
+
+      {hazards.length === 0 && <p className="no-alerts">Nothing to review.</p>}
+      <div className="hazards-list">
+        {hazards.map((hazard) => (
+          <div key={hazard.id} className="hazard-card">
+            <AlertTriangle size={24} color={hazard.severity === 'high' ? '#dc3545' : '#ffc107'} />
+            <div>
+              <strong>{hazard.type.toUpperCase()}</strong>
+              <span className={`hazard-status ${hazard.status}`}>{hazard.status.toUpperCase()}</span>
+              <p>Severity: {hazard.severity} · {hazard.reportCount || 1} report(s) · {(hazard.disputedBy || []).length} dispute(s)</p>
+              <p className="small">
+                #{hazard.id} · {hazard.latitude.toFixed(5)}, {hazard.longitude.toFixed(5)} · by {hazard.reportedBy}
+                {hazard.source && ` · source ${hazard.source}`}
+              </p>
+              <p className="small">{new Date(hazard.timestamp).toLocaleString()}</p>
+              {hazard.imageUrl && (
+                <img
+                  src={API_URL + (hazard.thumbnailUrl || hazard.imageUrl)}
+                  alt="Hazard"
+                  style={{width: '100%', marginTop: '10px', borderRadius: '8px'}}
+                />
+              )}
+
+              {editing && editing.id === hazard.id ? (
+                <div className="admin-edit">
+                  <select value={editing.type} onChange={(e) => setEditing({ ...editing, type: e.target.value })}>
+                    {HAZARD_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                  <select value={editing.severity} onChange={(e) => setEditing({ ...editing, severity: e.target.value })}>
+                    {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                  </select>
+                  <input value={editing.latitude} onChange={(e) => setEditing({ ...editing, latitude: e.target.value })} />
+                  <input value={editing.longitude} onChange={(e) => setEditing({ ...editing, longitude: e.target.value })} />
+                  <button onClick={saveEdit}>💾 Save</button>
+                  <button onClick={() => setEditing(null)}>Cancel</button>
+                </div>
+              ) : (
+                <div className="admin-actions">
+                  <button onClick={() => setEditing({
+                    id: hazard.id,
+                    type: hazard.type,
+                    severity: hazard.severity,
+                    latitude: String(hazard.latitude),
+                    longitude: String(hazard.longitude)
+                  })}>✏️ Edit</button>
+                  {REOPENABLE_STATUSES.includes(hazard.status) && (
+                    <button onClick={() => moderate(`Reopen hazard ${hazard.id}?`, reason =>
+                      adminApi.post(`/moderation/hazards/${hazard.id}/reopen`, { reason }))}>↩️ Reopen</button>
+                  )}
+                  {RESOLVABLE_STATUSES.includes(hazard.status) && (
+                    <button onClick={() => moderate(`Resolve hazard ${hazard.id}?`, reason =>
+                      adminApi.post(`/moderation/hazards/${hazard.id}/resolve`, { reason }))}>✅ Resolve</button>
+                  )}
+                  {(hazard.images || []).length > 0 && (
+                    <button onClick={() => moderate(`Hide all images of hazard ${hazard.id}?`, reason =>
+                      adminApi.post(`/moderation/hazards/${hazard.id}/hide-images`, { reason }))}>🙈 Hide images</button>
+                  )}
+                  <button onClick={() => moderate(`Delete hazard ${hazard.id}? This can't be undone.`, reason =>
+                    adminApi.delete(`/moderation/hazards/${hazard.id}`, { data: { reason } }))}>🗑️ Delete</button>
+                  {hazard.reportedBy && hazard.reportedBy.startsWith('dev_') && (
+                    <button onClick={() => setBlockForm({ deviceId: hazard.reportedBy, reason: '' })}>🚫 Block reporter</button>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+      {cursor && (
+        <button className="location-btn load-more-btn" onClick={() => loadQueue(cursor)}>
+          Load more ({hazards.length} of {total})
+        </button>
+      )}
+
+      <h2 style={{marginTop: '40px'}}>🚫 Blocked Devices</h2>
+      <form className="admin-toolbar" onSubmit={blockDevice}>
+        <input
+          placeholder="Device id"
+          value={blockForm.deviceId}
+          onChange={(e) => setBlockForm({ ...blockForm, deviceId: e.target.value })}
+        />
+        <input
+          placeholder="Reason"
+          value={blockForm.reason}
+          onChange={(e) => setBlockForm({ ...blockForm, reason: e.target.value })}
+        />
+        <button type="submit" disabled={!blockForm.deviceId.trim()}>Block</button>
+      </form>
+      <div className="notifications-list">
+        {blockedDevices.map((device) => (
+          <div key={device.id} className="notification">
+            <div>
+              <p>{device.id} {device.label && `(${device.label})`}</p>
+              <p className="small">
+                Blocked {new Date(device.blockedAt).toLocaleString()}
+                {device.blockedReason && ` · ${device.blockedReason}`}
+              </p>
+            </div>
+            <button onClick={() => moderate(`Unblock ${device.id}?`, reason =>
+              adminApi.post(`/moderation/devices/${encodeURIComponent(device.id)}/unblock`, { reason }))}>Unblock</button>
+          </div>
+        ))}
+      </div>
+
+      <h2 style={{marginTop: '40px'}}>📜 Audit Log</h2>
+      <div className="notifications-list">
+        {auditEntries.map((entry) => (
+          <div key={entry.id} className="notification">
+            <div>
+              <p><strong>{entry.action}</strong> {entry.targetType} {entry.targetId}</p>
+              <p className="small">
+                {new Date(entry.at).toLocaleString()} · {entry.actor}
+                {entry.reason && ` · ${entry.reason}`}
+              </p>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default AdminConsole;
@@ -1,33 +1,113 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Circle } from 'react-leaflet';
-import { AlertTriangle, Navigation, Upload, Camera, Map, Bell, CheckCircle } from 'lucide-react';
-import axios from 'axios';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Circle, Polyline, useMapEvents } from 'react-leaflet';
+import { AlertTriangle, Navigation, Upload, Camera, Map, Bell, CheckCircle, Shield } from 'lucide-react';
 import io from 'socket.io-client';
-import { loadModels, detectHazards, drawDetections, isModelLoaded, applyPrivacyProtection, analyzeVideoFrames } from './aiDetection';
+import { API_URL, api, apiErrorMessage, clearStoredDevice, getDeviceToken } from './api';
+import AdminConsole from './AdminConsole';
+import HazardTimeline from './HazardTimeline';
+import DetectionOverlay from './DetectionOverlay';
+import { loadModels, detectHazards, isModelLoaded, applyPrivacyProtection, analyzeVideoFrames } from './aiDetection';
 import 'leaflet/dist/leaflet.css';
 import './App.css';
 
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+// Lifecycle statuses that still mean a hazard is on the road
+const OPEN_STATUSES = ['reported', 'confirmed', 'disputed', 'reopened'];
+
+const STATUS_LABELS = {
+  pending: '⏳ PENDING',
+  reported: '🚨 REPORTED',
+  confirmed: '🚨 CONFIRMED',
+  disputed: '❓ DISPUTED',
+  reopened: '🚨 REOPENED',
+  resolved: '✅ RESOLVED',
+  expired: '⌛ EXPIRED'
+};
+
+// Hazards per "load more" page on the Alerts tab
+const HAZARDS_PAGE_SIZE = 20;
+// Most open hazards the Live Map asks for in one view (the API maximum)
+const MAP_HAZARDS_LIMIT = 200;
+
+// Location payload for the server. Heading (degrees) and speed (m/s) let it
+// alert only on hazards ahead; browsers report them as null or NaN when unknown.
+const positionToFix = (position) => {
+  const { latitude, longitude, heading, speed } = position.coords;
+  const fix = { latitude, longitude };
+  if (Number.isFinite(heading)) fix.heading = heading;
+  if (Number.isFinite(speed)) fix.speed = speed;
+  return fix;
+};
+
+// What /api/upload needs to hear about a redaction: the regions without
+// the vehicle each plate was found on
+const redactionMetadata = (redaction) => ({
+  version: redaction.version,
+  models: redaction.models,
+  regions: redaction.regions.map(({ kind, bbox, score, method }) => ({ kind, bbox, score, method }))
+});
+
+// Leaflet bounds as the API's "minLng,minLat,maxLng,maxLat" bbox. Longitudes
+// are wrapped into -180..180, so a view across the antimeridian comes out
+// with minLng > maxLng as the API expects.
+const boundsToBbox = (bounds) => {
+  const wrap = lng => ((lng + 180) % 360 + 360) % 360 - 180;
+  const clampLat = lat => Math.max(-90, Math.min(90, lat));
+  const [west, east] = bounds.getEast() - bounds.getWest() >= 360
+    ? [-180, 180]
+    : [wrap(bounds.getWest()), wrap(bounds.getEast())];
+  return [west, clampLat(bounds.getSouth()), east, clampLat(bounds.getNorth())].join(',');
+};
+
+// Reports the map's visible area once mounted and after every pan or zoom
+function MapViewport({ onChange }) {
+  const map = useMapEvents({
+    moveend: () => onChange(boundsToBbox(map.getBounds()))
+  });
+  useEffect(() => {
+    onChange(boundsToBbox(map.getBounds()));
+  }, [map, onChange]);
+  return null;
+}
 
 function App() {
   const [activeTab, setActiveTab] = useState('detect');
   const [currentLocation, setCurrentLocation] = useState(null);
   const [socket, setSocket] = useState(null);
   const [hazards, setHazards] = useState([]);
+  // Cursor for the next page of the hazard list, null once it is all loaded
+  const [hazardsCursor, setHazardsCursor] = useState(null);
+  const [hazardsTotal, setHazardsTotal] = useState(0);
+  const [loadingHazards, setLoadingHazards] = useState(false);
+  // Open hazards in the Live Map's view, fetched apart from the paged list
+  // so the map shows every one of them, not just the pages loaded so far
+  const [mapHazards, setMapHazards] = useState([]);
+  const [mapBbox, setMapBbox] = useState(null);
+  // Latest bulk import the server announced; the list reloads on each one
+  const [lastImport, setLastImport] = useState(null);
   const [notifications, setNotifications] = useState([]);
+  // Proximity alerts waiting for the driver to acknowledge or snooze them
+  const [activeAlerts, setActiveAlerts] = useState([]);
   const [aiModelsLoaded, setAiModelsLoaded] = useState(false);
+  const [modelLoadProgress, setModelLoadProgress] = useState(null);
   
   // Image/Video Upload States
   const [uploadedImage, setUploadedImage] = useState(null);
   const [uploadedVideo, setUploadedVideo] = useState(null);
   const [detectedHazards, setDetectedHazards] = useState([]);
   const [processedImage, setProcessedImage] = useState(null);
+  // processedImage is the redacted original; `redaction` says what was
+  // blurred and by which models, plus an outlined preview when
+  // verifyRedaction is on. Detection boxes are only ever drawn over it.
+  const [redaction, setRedaction] = useState(null);
+  const [redactionFailed, setRedactionFailed] = useState(false);
+  const [verifyRedaction, setVerifyRedaction] = useState(false);
   const [analyzing, setAnalyzing] = useState(false);
   
   // Video Analysis States
   const [videoAnalyzing, setVideoAnalyzing] = useState(false);
   const [videoFramesWithHazards, setVideoFramesWithHazards] = useState([]);
   const [selectedFrame, setSelectedFrame] = useState(null);
+  const [videoProgress, setVideoProgress] = useState(null);
   
   // Manual Report States
   const [formData, setFormData] = useState({
@@ -39,18 +119,23 @@ function App() {
   
   // Resolve Hazard States
   const [nearbyHazardsToResolve, setNearbyHazardsToResolve] = useState([]);
+  // The area the server alerts us about: a circle around us while parked,
+  // otherwise a narrow corridor ahead along our heading or planned route
+  const [alertCorridor, setAlertCorridor] = useState(null);
   const [resolvingHazard, setResolvingHazard] = useState(null);
   
   // Refs
   const imageRef = useRef();
-  const canvasRef = useRef();
   const fileInputRef = useRef();
   const videoRef = useRef();
+  // Aborts the video analysis running in the detection worker
+  const videoAnalysisRef = useRef(null);
   const resolveFileInputRef = useRef();
+  const lastFixRef = useRef(null);
 
   // Load AI models on mount
   useEffect(() => {
-    loadModels().then(loaded => {
+    loadModels(setModelLoadProgress).then(loaded => {
       setAiModelsLoaded(loaded);
       if (loaded) {
         console.log('✅ All AI models ready!');
@@ -63,6 +148,7 @@ function App() {
     if (navigator.geolocation) {
       navigator.geolocation.getCurrentPosition(
         (position) => {
+          lastFixRef.current = positionToFix(position);
           const location = {
             lat: position.coords.latitude,
             lng: position.coords.longitude
@@ -77,42 +163,82 @@ function App() {
       );
     }
 
-    const newSocket = io(API_URL);
+    const newSocket = io(API_URL, {
+      auth: (cb) => {
+        getDeviceToken()
+          .then(token => cb({ token }))
+          .catch(() => cb({}));
+      }
+    });
     setSocket(newSocket);
 
     newSocket.on('connect', () => {
       console.log('🔌 Connected to server');
+      // The server forgets our position when the connection drops
+      if (lastFixRef.current) {
+        newSocket.emit('register_location', lastFixRef.current);
+      }
+    });
+
+    newSocket.on('connect_error', (error) => {
+      console.error('Socket connection error:', error.message);
+      if (error.message === 'INVALID_TOKEN') {
+        clearStoredDevice();
+        setTimeout(() => newSocket.connect(), 1000);
+      } else if (error.message === 'DEVICE_BLOCKED') {
+        addNotification('This device has been blocked by a moderator');
+      }
+    });
+
+    newSocket.on('rate_limited', (data) => {
+      console.warn(`⏳ Server throttled ${data.event}, retry in ${data.retryAfter}s`);
     });
 
     newSocket.on('hazard_alert', (hazard) => {
       console.log('🚨 New hazard alert:', hazard);
       setHazards(prev => [hazard, ...prev]);
+      setMapHazards(prev => [hazard, ...prev.filter(h => h.id !== hazard.id)]);
       addNotification(`New ${hazard.type} reported nearby!`);
     });
 
+    // Imported hazards aren't sent one by one, only this summary
+    newSocket.on('hazards_imported', (data) => {
+      console.log('📥 Hazards imported:', data);
+      setLastImport(data);
+      if (data.created > 0) {
+        addNotification(`${data.created} hazards imported from ${data.source}`);
+      }
+    });
+
+    newSocket.on('hazard_updated', (hazard) => {
+      console.log('🔗 Hazard updated:', hazard);
+      setHazards(prev => prev.map(h => h.id === hazard.id ? hazard : h));
+      setMapHazards(prev => prev.map(h => h.id === hazard.id ? hazard : h));
+    });
+
     newSocket.on('proximity_alert', (data) => {
       console.log('⚠️ Proximity alert:', data);
-      addNotification(`DANGER! ${data.hazard.type.toUpperCase()} ${data.distance}km ahead!`);
+      const eta = data.etaSeconds != null ? ` (~${data.etaSeconds}s)` : '';
+      addNotification(`DANGER! ${data.hazard.type.toUpperCase()} ${data.distanceAhead}km ahead${eta}!`);
+      setActiveAlerts(prev => [data, ...prev.filter(a => a.hazard.id !== data.hazard.id)]);
       
       if (Notification.permission === 'granted') {
         new Notification('⚠️ Road Hazard Alert', {
-          body: `${data.hazard.type.toUpperCase()} detected ${data.distance}km ahead!`,
+          body: `${data.hazard.type.toUpperCase()} detected ${data.distanceAhead}km ahead${eta}!`,
           icon: '/vw-logo.png'
         });
       }
     });
 
+    // The server sends new warnings as proximity_alert; this only keeps
+    // the Live Map list current
     newSocket.on('nearby_hazards', (data) => {
       console.log('📍 Nearby hazards:', data.hazards);
       setNearbyHazardsToResolve(data.hazards);
-      
-      if (data.hazards.length > 0) {
-        const hazardList = data.hazards.map(h => 
-          `• ${h.type.toUpperCase()} (${h.distance.toFixed(2)}km away - ${h.severity})`
-        ).join('\n');
-        
-        alert(`📍 ${data.hazards.length} ACTIVE HAZARDS ON YOUR ROUTE:\n\n${hazardList}\n\nStay alert! You can resolve them from the Live Map tab.`);
-      }
+    });
+
+    newSocket.on('alert_corridor', (data) => {
+      setAlertCorridor(data);
     });
 
     newSocket.on('hazard_resolved', (data) => {
@@ -120,39 +246,98 @@ function App() {
       setHazards(prev => prev.map(h => 
         h.id === data.hazardId ? { ...h, status: 'resolved' } : h
       ));
+      setMapHazards(prev => prev.filter(h => h.id !== data.hazardId));
+      setActiveAlerts(prev => prev.filter(a => a.hazard.id !== data.hazardId));
       addNotification(`Hazard ${data.hazardId} has been resolved!`);
     });
 
+    // A moderator deleted the hazard
+    newSocket.on('hazard_removed', (data) => {
+      console.log('🗑️ Hazard removed:', data.hazardId);
+      setHazards(prev => prev.filter(h => h.id !== data.hazardId));
+      setMapHazards(prev => prev.filter(h => h.id !== data.hazardId));
+      setNearbyHazardsToResolve(prev => prev.filter(h => h.id !== data.hazardId));
+      setActiveAlerts(prev => prev.filter(a => a.hazard.id !== data.hazardId));
+    });
+
+    newSocket.on('hazard_status_changed', (data) => {
+      console.log('🔁 Hazard status changed:', data);
+      setHazards(prev => prev.map(h => 
+        h.id === data.hazardId ? { ...h, status: data.to } : h
+      ));
+      setMapHazards(prev => prev.map(h => 
+        h.id === data.hazardId ? { ...h, status: data.to } : h
+      ));
+      if (!OPEN_STATUSES.includes(data.to)) {
+        setNearbyHazardsToResolve(prev => prev.filter(h => h.id !== data.hazardId));
+        setActiveAlerts(prev => prev.filter(a => a.hazard.id !== data.hazardId));
+      }
+      if (data.to !== 'resolved') {
+        addNotification(`Hazard ${data.hazardId} is now ${data.to}`);
+      }
+    });
+
     return () => newSocket.close();
   }, []);
 
-  // Register location with server
+  // Register location with server, then keep it (and our heading) current
+  const hasLocation = currentLocation !== null;
   useEffect(() => {
-    if (socket && currentLocation) {
-      socket.emit('register_location', {
-        userId: 'vw-user-' + Date.now(),
-        latitude: currentLocation.lat,
-        longitude: currentLocation.lng
-      });
+    if (socket && hasLocation) {
+      if (socket.connected) {
+        socket.emit('register_location', lastFixRef.current);
+      }
 
       const locationInterval = setInterval(() => {
         navigator.geolocation.getCurrentPosition((position) => {
-          const newLocation = {
-            lat: position.coords.latitude,
-            lng: position.coords.longitude
-          };
-          setCurrentLocation(newLocation);
-          socket.emit('update_location', {
-            userId: 'vw-user-' + Date.now(),
-            latitude: newLocation.lat,
-            longitude: newLocation.lng
-          });
+          const fix = positionToFix(position);
+          lastFixRef.current = fix;
+          setCurrentLocation({ lat: fix.latitude, lng: fix.longitude });
+          socket.emit('update_location', fix);
         });
       }, 10000);
 
       return () => clearInterval(locationInterval);
     }
-  }, [socket, currentLocation]);
+  }, [socket, hasLocation]);
+
+  // Fetch a page of hazards, newest first, and add the ones we don't have
+  // yet (live socket events may already have delivered some)
+  const loadHazards = useCallback((cursor) => {
+    setLoadingHazards(true);
+    return api.get('/api/hazards', { params: { sort: 'newest', limit: HAZARDS_PAGE_SIZE, cursor } })
+      .then((response) => {
+        const { hazards: page, nextCursor, total } = response.data;
+        setHazards(prev => {
+          const known = new Set(prev.map(h => h.id));
+          return [...prev, ...page.filter(h => !known.has(h.id))];
+        });
+        setHazardsCursor(nextCursor);
+        setHazardsTotal(total);
+      })
+      .catch((error) => {
+        console.error('Failed to load hazards:', apiErrorMessage(error, error.message));
+      })
+      .finally(() => setLoadingHazards(false));
+  }, []);
+
+  useEffect(() => {
+    loadHazards(null);
+  }, [loadHazards, lastImport]);
+
+  // Refetch the map's hazards whenever its view moves or an import lands
+  useEffect(() => {
+    if (activeTab !== 'map' || !mapBbox) return;
+    let current = true;
+    api.get('/api/hazards', { params: { status: 'active', bbox: mapBbox, limit: MAP_HAZARDS_LIMIT } })
+      .then((response) => {
+        if (current) setMapHazards(response.data.hazards);
+      })
+      .catch((error) => {
+        console.error('Failed to load map hazards:', apiErrorMessage(error, error.message));
+      });
+    return () => { current = false; };
+  }, [activeTab, mapBbox, lastImport]);
 
   // Request notification permission
   useEffect(() => {
@@ -161,6 +346,21 @@ function App() {
     }
   }, []);
 
+  // Hazards in the alert area, from the server's latest list of them
+  const hazardsAheadIds = new Set(nearbyHazardsToResolve.map(h => h.id));
+
+  // Seen it: the server won't warn about this hazard again unless it gets worse
+  const acknowledgeAlert = (hazardId) => {
+    socket.emit('acknowledge_hazard', { hazardId });
+    setActiveAlerts(prev => prev.filter(a => a.hazard.id !== hazardId));
+  };
+
+  // Snooze one hazard, or every alert when hazardId is null
+  const snoozeAlerts = (hazardId, minutes) => {
+    socket.emit('snooze_alerts', hazardId ? { hazardId, minutes } : { minutes });
+    setActiveAlerts(prev => (hazardId ? prev.filter(a => a.hazard.id !== hazardId) : []));
+  };
+
   const addNotification = (message) => {
     const notification = {
       id: Date.now(),
@@ -175,6 +375,7 @@ function App() {
     if (!file) return;
 
     const fileType = file.type.startsWith('video/') ? 'video' : 'image';
+    if (videoAnalysisRef.current) videoAnalysisRef.current.abort();
 
     const reader = new FileReader();
     reader.onload = (event) => {
@@ -183,6 +384,8 @@ function App() {
         setUploadedImage(null);
         setDetectedHazards([]);
         setProcessedImage(null);
+        setRedaction(null);
+        setRedactionFailed(false);
         setVideoFramesWithHazards([]);
         setSelectedFrame(null);
       } else {
@@ -190,6 +393,8 @@ function App() {
         setUploadedVideo(null);
         setDetectedHazards([]);
         setProcessedImage(null);
+        setRedaction(null);
+        setRedactionFailed(false);
         setVideoFramesWithHazards([]);
         setSelectedFrame(null);
       }
@@ -211,25 +416,17 @@ function App() {
       setDetectedHazards(hazards);
 
       if (hazards.length > 0) {
-        const withDetections = drawDetections(canvasRef.current, imageRef.current, hazards);
-        
-        const privacyCanvas = document.createElement('canvas');
-        const privacyImage = new Image();
-        privacyImage.src = withDetections;
-        
-        await new Promise((resolve) => {
-          privacyImage.onload = async () => {
-            const protectedImage = await applyPrivacyProtection(privacyCanvas, privacyImage);
-            if (protectedImage) {
-              setProcessedImage(protectedImage);
-              console.log('✅ Privacy protection applied successfully');
-            } else {
-              setProcessedImage(withDetections);
-              console.log('⚠️ Using image without privacy protection');
-            }
-            resolve();
-          };
-        });
+        // Redact the untouched original; without redaction nothing is uploaded
+        const protectedImage = await applyPrivacyProtection(imageRef.current, { verify: verifyRedaction });
+        if (protectedImage) {
+          setProcessedImage(protectedImage.image);
+          setRedaction(protectedImage);
+          console.log('✅ Privacy protection applied successfully');
+        } else {
+          setProcessedImage(null);
+          setRedactionFailed(true);
+          console.log('⚠️ Privacy protection failed - the image will not be uploaded');
+        }
 
         const topHazard = hazards[0];
         setFormData(prev => ({
@@ -257,11 +454,21 @@ function App() {
       return;
     }
 
+    const controller = new AbortController();
+    videoAnalysisRef.current = controller;
     setVideoAnalyzing(true);
+    setVideoProgress(null);
     try {
       console.log('🎥 Starting video analysis...');
       
-      const framesWithHazards = await analyzeVideoFrames(videoRef.current, 2);
+      // Frames with hazards show up as they are found
+      const framesWithHazards = await analyzeVideoFrames(videoRef.current, 2, {
+        signal: controller.signal,
+        onProgress: (progress) => {
+          setVideoProgress(progress);
+          setVideoFramesWithHazards(progress.frames);
+        }
+      });
       
       setVideoFramesWithHazards(framesWithHazards);
       
@@ -281,10 +488,18 @@ function App() {
         alert('No hazards detected in video. Try a different video or report manually.');
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('⏹️ Video analysis cancelled');
+        return;
+      }
       console.error('Video analysis error:', error);
       alert('Error analyzing video: ' + error.message);
     } finally {
-      setVideoAnalyzing(false);
+      // A newer analysis may have replaced this one
+      if (videoAnalysisRef.current === controller) {
+        videoAnalysisRef.current = null;
+        setVideoAnalyzing(false);
+      }
     }
   };
 
@@ -308,40 +523,57 @@ function App() {
 
     try {
       let imageUrl = null;
+      let uploadId;
 
+      // Only ever the redacted image, with what was blurred and detected
       if (processedImage) {
         const blob = await fetch(processedImage).then(r => r.blob());
         const formDataUpload = new FormData();
         formDataUpload.append('image', blob, 'hazard.jpg');
+        formDataUpload.append('redaction', JSON.stringify(redactionMetadata(redaction)));
+        formDataUpload.append('overlays', JSON.stringify(detectedHazards.map(hazard => ({
+          type: hazard.type,
+          class: hazard.class,
+          bbox: hazard.bbox.map(Math.round),
+          confidence: hazard.confidence,
+          severity: hazard.severity,
+          detector: hazard.detector,
+          rulesVersion: hazard.rulesVersion
+        }))));
 
-        const uploadRes = await axios.post(`${API_URL}/api/upload`, formDataUpload);
+        const uploadRes = await api.post('/api/upload', formDataUpload);
         imageUrl = uploadRes.data.fileUrl;
+        uploadId = uploadRes.data.uploadId;
       }
 
-      const response = await axios.post(`${API_URL}/api/hazards/report`, {
+      const response = await api.post('/api/hazards/report', {
         type: formData.type,
         latitude: parseFloat(formData.latitude),
         longitude: parseFloat(formData.longitude),
         severity: formData.severity,
-        deviceId: 'vw-ai-app',
         confidence: detectedHazards.length > 0 ? detectedHazards[0].confidence : 100,
-        imageUrl
+        imageUrl,
+        uploadId
       });
 
       if (response.data.duplicate) {
-        alert('⚠️ Similar hazard already reported nearby. Thank you!');
+        alert(`⚠️ Similar hazard already reported nearby. Your report was added to hazard #${response.data.hazardId} (${response.data.hazard.reportCount} reports). Thank you!`);
       } else {
-        alert('✅ Hazard reported successfully!');
+        alert(response.data.pending
+          ? '⏳ Hazard recorded! It will go live once another driver confirms it.'
+          : '✅ Hazard reported successfully!');
         setUploadedImage(null);
         setUploadedVideo(null);
         setDetectedHazards([]);
         setProcessedImage(null);
+        setRedaction(null);
+        setRedactionFailed(false);
         setVideoFramesWithHazards([]);
         setSelectedFrame(null);
       }
     } catch (error) {
       console.error('Error reporting hazard:', error);
-      alert('Failed to report hazard. Please try again.');
+      alert('❌ ' + apiErrorMessage(error, 'Failed to report hazard. Please try again.'));
     }
   };
 
@@ -357,17 +589,24 @@ function App() {
     }
 
     try {
+      // The server only takes photos with their faces and plates blurred
+      const redacted = await applyPrivacyProtection(resolveFileInputRef.current.files[0]);
+      if (!redacted) {
+        alert('❌ Faces and license plates could not be blurred in this photo, so it was not uploaded.');
+        return;
+      }
+
       const formData = new FormData();
-      formData.append('image', resolveFileInputRef.current.files[0]);
+      formData.append('image', await fetch(redacted.image).then(r => r.blob()), 'resolved.jpg');
+      formData.append('redaction', JSON.stringify(redactionMetadata(redacted)));
 
-      const uploadRes = await axios.post(`${API_URL}/api/upload`, formData);
+      const uploadRes = await api.post('/api/upload', formData);
       const imageUrl = uploadRes.data.fileUrl;
 
-      const response = await axios.post(`${API_URL}/api/hazards/resolve`, {
+      const response = await api.post('/api/hazards/resolve', {
         hazardId,
         latitude: currentLocation.lat,
         longitude: currentLocation.lng,
-        deviceId: 'vw-ai-app',
         imageUrl
       });
 
@@ -377,13 +616,40 @@ function App() {
         setHazards(prev => prev.map(h => 
           h.id === hazardId ? { ...h, status: 'resolved' } : h
         ));
+        setMapHazards(prev => prev.filter(h => h.id !== hazardId));
         setNearbyHazardsToResolve(prev => prev.filter(h => h.id !== hazardId));
-      } else {
-        alert(response.data.message);
       }
     } catch (error) {
       console.error('Error resolving hazard:', error);
-      alert('Failed to resolve hazard');
+      alert('❌ ' + apiErrorMessage(error, 'Failed to resolve hazard'));
+    }
+  };
+
+  const handleHazardFeedback = async (hazardId, action) => {
+    if (!currentLocation) {
+      alert('Location not available');
+      return;
+    }
+
+    try {
+      const response = await api.post(`/api/hazards/${action}`, {
+        hazardId,
+        latitude: currentLocation.lat,
+        longitude: currentLocation.lng
+      });
+
+      if (response.data.success) {
+        const updated = response.data.hazard;
+        setHazards(prev => prev.map(h => h.id === hazardId ? { ...h, status: updated.status } : h));
+        setMapHazards(prev => prev.map(h => h.id === hazardId ? { ...h, status: updated.status } : h));
+        setNearbyHazardsToResolve(prev => prev.map(h => 
+          h.id === hazardId ? { ...h, status: updated.status } : h
+        ));
+        alert(action === 'confirm' ? '👍 Thanks for confirming!' : '👎 Thanks, your feedback was recorded.');
+      }
+    } catch (error) {
+      console.error(`Error sending ${action}:`, error);
+      alert('❌ ' + apiErrorMessage(error, `Failed to ${action} hazard`));
     }
   };
 
@@ -396,7 +662,9 @@ function App() {
         </div>
         <div className="status">
           <div className={`status-indicator ${aiModelsLoaded ? 'active' : 'loading'}`}>
-            {aiModelsLoaded ? '✅ AI Active' : '⏳ Loading AI...'}
+            {aiModelsLoaded
+              ? '✅ AI Active'
+              : `⏳ Loading AI${modelLoadProgress ? ` (${modelLoadProgress.loaded}/${modelLoadProgress.total})` : ''}...`}
           </div>
           <div className={`status-indicator ${currentLocation ? 'active' : 'inactive'}`}>
             {currentLocation ? '📍 GPS Active' : '📍 GPS Inactive'}
@@ -433,8 +701,36 @@ function App() {
     <Bell size={20} />
     Alerts ({notifications.length})
   </button>
+  <button 
+    className={activeTab === 'admin' ? 'active' : ''} 
+    onClick={() => setActiveTab('admin')}
+  >
+    <Shield size={20} />
+    Admin
+  </button>
 </nav>
 
+      {activeAlerts.length > 0 && (
+        <div className="alert-banner">
+          {activeAlerts.map(({ hazard, distanceAhead, etaSeconds }) => (
+            <div key={hazard.id} className={`alert-banner-item ${hazard.severity}`}>
+              <AlertTriangle size={20} />
+              <div className="alert-banner-text">
+                <strong>{hazard.type.toUpperCase()}</strong> {distanceAhead}km ahead
+                {etaSeconds != null && ` · ~${etaSeconds}s`} · {hazard.severity}
+              </div>
+              <button onClick={() => acknowledgeAlert(hazard.id)}>✓ Got it</button>
+              <button onClick={() => snoozeAlerts(hazard.id, 15)}>💤 15 min</button>
+            </div>
+          ))}
+          {activeAlerts.length > 1 && (
+            <button className="alert-banner-snooze-all" onClick={() => snoozeAlerts(null, 15)}>
+              💤 Snooze all alerts for 15 min
+            </button>
+          )}
+        </div>
+      )}
+
 
       <main className="content">
         {activeTab === 'detect' && (
@@ -457,6 +753,14 @@ function App() {
                 <Upload size={20} />
                 {aiModelsLoaded ? 'Upload Image/Video from Dashcam' : 'Loading AI Models...'}
               </button>
+              <label className="verify-redaction">
+                <input
+                  type="checkbox"
+                  checked={verifyRedaction}
+                  onChange={(e) => setVerifyRedaction(e.target.checked)}
+                />
+                Show which regions get blurred for privacy
+              </label>
 
               {uploadedImage && (
                 <div className="image-preview">
@@ -468,7 +772,6 @@ function App() {
                     onLoad={analyzeImage}
                     style={{ maxWidth: '100%', borderRadius: '10px' }}
                   />
-                  <canvas ref={canvasRef} style={{ display: 'none' }} />
                 </div>
               )}
 
@@ -490,7 +793,18 @@ function App() {
                 <div className="analyzing">
                   <div className="spinner"></div>
                   <p>{videoAnalyzing ? '🎥 Analyzing video frames...' : '🤖 AI analyzing image...'}</p>
-                  <p className="small">{videoAnalyzing ? 'Processing every 2 seconds of footage...' : 'Detecting hazards with TensorFlow.js...'}</p>
+                  <p className="small">
+                    {videoAnalyzing
+                      ? (videoProgress
+                        ? `Analyzed ${videoProgress.analyzed} of ${videoProgress.total} frames (${Math.round(videoProgress.time)}s of ${Math.round(videoProgress.duration)}s)`
+                        : 'Processing every 2 seconds of footage...')
+                      : 'Detecting hazards with TensorFlow.js...'}
+                  </p>
+                  {videoAnalyzing && (
+                    <button className="cancel-analysis-btn" onClick={() => videoAnalysisRef.current.abort()}>
+                      Cancel analysis
+                    </button>
+                  )}
                 </div>
               )}
 
@@ -554,14 +868,22 @@ function App() {
                 </div>
               )}
 
-              {processedImage && !uploadedVideo && (
+              {(processedImage || redactionFailed) && !uploadedVideo && (
                 <div className="detection-results">
                   <h3>🔍 AI Detection Results</h3>
-                  <img 
-                    src={processedImage} 
-                    alt="Processed" 
-                    style={{ maxWidth: '100%', borderRadius: '10px', marginTop: '10px' }}
-                  />
+                  {processedImage ? (
+                    <DetectionOverlay
+                      src={processedImage}
+                      width={redaction.width}
+                      height={redaction.height}
+                      detections={detectedHazards}
+                    />
+                  ) : (
+                    <p className="redaction-failed">
+                      🔒 Faces and license plates could not be blurred, so this image won't be uploaded.
+                      You can still report the hazard without it.
+                    </p>
+                  )}
                   
                   <div className="hazards-grid">
                     {detectedHazards.map((hazard, idx) => (
@@ -575,6 +897,30 @@ function App() {
                       </div>
                     ))}
                   </div>
+
+                  {redaction && (
+                    <div className="redaction-report">
+                      <p>
+                        🔒 Blurred {redaction.regions.filter(r => r.kind === 'face').length} face(s)
+                        and {redaction.regions.filter(r => r.kind === 'plate').length} license plate(s)
+                      </p>
+                      {redaction.preview && (
+                        <>
+                          <img src={redaction.preview} alt="Blurred regions" />
+                          <ul>
+                            {redaction.regions.map((region, idx) => (
+                              <li key={idx} className="small">
+                                {region.kind}
+                                {region.method && ` (${region.method === 'edges' ? 'plate found' : 'plate not found, vehicle zone blurred'})`}
+                                {' '}at {region.bbox.join(', ')}
+                                {region.vehicle && ` on ${region.vehicle.class}`}
+                              </li>
+                            ))}
+                          </ul>
+                        </>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -642,33 +988,60 @@ function App() {
                 url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
                 attribution='&copy; OpenStreetMap contributors'
               />
+              <MapViewport onChange={setMapBbox} />
               
               <Marker position={[currentLocation.lat, currentLocation.lng]}>
                 <Popup>📍 You are here</Popup>
               </Marker>
 
-              <Circle
-                center={[currentLocation.lat, currentLocation.lng]}
-                radius={1000}
-                pathOptions={{ color: 'blue', fillColor: 'blue', fillOpacity: 0.1 }}
-              />
+              {alertCorridor && alertCorridor.path.length >= 2 ? (
+                <Polyline
+                  positions={alertCorridor.path}
+                  pathOptions={{ color: 'blue', weight: 12, opacity: 0.3, lineCap: 'butt' }}
+                />
+              ) : (
+                <Circle
+                  center={[currentLocation.lat, currentLocation.lng]}
+                  radius={(alertCorridor ? alertCorridor.radiusKm : 1) * 1000}
+                  pathOptions={{ color: 'blue', fillColor: 'blue', fillOpacity: 0.1 }}
+                />
+              )}
 
-              {hazards.filter(h => h.status === 'active').map((hazard) => (
+              {/* Hazards outside the alert area are dimmed */}
+              {mapHazards.filter(h => OPEN_STATUSES.includes(h.status)).map((hazard) => (
                 <Marker 
                   key={hazard.id}
                   position={[hazard.latitude, hazard.longitude]}
+                  opacity={hazardsAheadIds.has(hazard.id) ? 1 : 0.5}
                 >
                   <Popup>
                     <strong>{hazard.type.toUpperCase()}</strong>
                     <p>Severity: {hazard.severity}</p>
+                    <p>Status: {hazard.status}</p>
+                    <p>Reports: {hazard.reportCount || 1}</p>
                     <p>Reported: {new Date(hazard.timestamp).toLocaleString()}</p>
-                    {hazard.imageUrl && (
-                      <img src={API_URL + hazard.imageUrl} alt="Hazard" style={{width: '100%', marginTop: '10px'}} />
-                    )}
+                    {(hazard.images || (hazard.imageUrl ? [hazard.imageUrl] : [])).map((url, idx) => (
+                      <a key={idx} href={API_URL + url} target="_blank" rel="noreferrer">
+                        <img
+                          src={API_URL + ((hazard.thumbnails && hazard.thumbnails[idx]) || url)}
+                          alt="Hazard"
+                          style={{width: '100%', marginTop: '10px'}}
+                        />
+                      </a>
+                    ))}
+                    <HazardTimeline hazardId={hazard.id} />
                   </Popup>
                 </Marker>
               ))}
             </MapContainer>
+
+            {alertCorridor && (
+              <div className="corridor-info">
+                {alertCorridor.mode === 'radius'
+                  ? `Alerting on hazards within ${alertCorridor.radiusKm} km`
+                  : `Alerting on hazards up to ${alertCorridor.radiusKm.toFixed(1)} km ahead along your ${alertCorridor.mode === 'route' ? 'route' : 'heading'}`}
+              </div>
+            )}
             
             {nearbyHazardsToResolve.length > 0 && (
               <div className="resolve-section">
@@ -683,7 +1056,8 @@ function App() {
                   }}>
                     <strong>{hazard.type.toUpperCase()}</strong>
                     <span style={{marginLeft: '10px', color: '#999'}}>
-                      {hazard.distance.toFixed(2)}km away
+                      {hazard.distanceAhead.toFixed(2)}km ahead
+                      {hazard.etaSeconds != null && ` · ~${hazard.etaSeconds}s`}
                     </span>
                     <p style={{fontSize: '13px', margin: '8px 0', color: '#ccc'}}>
                       Reported: {new Date(hazard.timestamp).toLocaleString()}
@@ -714,12 +1088,28 @@ function App() {
                         </div>
                       </div>
                     ) : (
-                      <button 
-                        className="resolve-btn"
-                        onClick={() => setResolvingHazard(hazard.id)}
-                      >
-                        📸 Resolve This Hazard
-                      </button>
+                      <div style={{display: 'flex', gap: '10px', flexWrap: 'wrap'}}>
+                        <button 
+                          className="resolve-btn"
+                          onClick={() => setResolvingHazard(hazard.id)}
+                        >
+                          📸 Resolve This Hazard
+                        </button>
+                        <button 
+                          className="location-btn"
+                          onClick={() => handleHazardFeedback(hazard.id, 'confirm')}
+                          style={{flex: 'none', width: 'auto', padding: '12px 24px'}}
+                        >
+                          👍 Still There
+                        </button>
+                        <button 
+                          className="location-btn"
+                          onClick={() => handleHazardFeedback(hazard.id, 'dispute')}
+                          style={{flex: 'none', width: 'auto', padding: '12px 24px'}}
+                        >
+                          👎 Not There
+                        </button>
+                      </div>
                     )}
                   </div>
                 ))}
@@ -937,19 +1327,19 @@ function App() {
 
             <h2 style={{marginTop: '40px'}}>🗺️ All Reported Hazards</h2>
             <div className="hazards-list">
-              {hazards.slice(0, 20).map((hazard) => (
+              {hazards.map((hazard) => (
                 <div key={hazard.id} className="hazard-card">
                   <AlertTriangle size={24} color={hazard.severity === 'high' ? '#dc3545' : '#ffc107'} />
                   <div>
                     <strong>{hazard.type.toUpperCase()}</strong>
-                    <span className={`hazard-status ${hazard.status || 'active'}`}>
-                      {hazard.status === 'resolved' ? '✅ RESOLVED' : '🚨 ACTIVE'}
+                    <span className={`hazard-status ${hazard.status || 'reported'}`}>
+                      {STATUS_LABELS[hazard.status] || STATUS_LABELS.reported}
                     </span>
                     <p>Severity: {hazard.severity}</p>
                     <p className="small">{new Date(hazard.timestamp).toLocaleString()}</p>
                     {hazard.imageUrl && (
                       <img 
-                        src={API_URL + hazard.imageUrl} 
+                        src={API_URL + (hazard.thumbnailUrl || hazard.imageUrl)} 
                         alt="Hazard" 
                         style={{width: '100%', marginTop: '10px', borderRadius: '8px'}}
                       />
@@ -958,8 +1348,19 @@ function App() {
                 </div>
               ))}
             </div>
+            {hazardsCursor && (
+              <button
+                className="location-btn load-more-btn"
+                onClick={() => loadHazards(hazardsCursor)}
+                disabled={loadingHazards}
+              >
+                {loadingHazards ? 'Loading...' : `Load more (${hazards.length} of ${hazardsTotal})`}
+              </button>
+            )}
           </div>
         )}
+
+        {activeTab === 'admin' && <AdminConsole />}
       </main>
     </div>
   );
@@ -1,8 +1,39 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// The app talks to the server, a model worker and a map; none of them
+// exist under jsdom. Plain functions, as CRA resets jest.fn() mocks.
+const never = () => new Promise(() => {});
+jest.mock('socket.io-client', () => () => ({ on: () => {}, emit: () => {}, close: () => {}, connect: () => {}, connected: false }));
+jest.mock('react-leaflet', () => ({
+  MapContainer: ({ children }) => <div>{children}</div>,
+  TileLayer: () => null,
+  Marker: ({ children }) => <div>{children}</div>,
+  Popup: ({ children }) => <div>{children}</div>,
+  Circle: () => null,
+  Polyline: () => null,
+  useMapEvents: () => null
+}));
+jest.mock('./api', () => ({
+  API_URL: 'http://localhost:3001',
+  api: { get: never, post: never },
+  apiErrorMessage: (error, fallback) => fallback,
+  clearStoredDevice: () => {},
+  getDeviceToken: never
+}));
+jest.mock('./aiDetection', () => ({
+  loadModels: never,
+  detectHazards: never,
+  isModelLoaded: () => false,
+  applyPrivacyProtection: never,
+  analyzeVideoFrames: never
+}));
+
+beforeEach(() => {
+  window.Notification = { permission: 'denied', requestPermission: never };
+});
+
+test('renders the app header', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText('VW Hazard Detection AI')).toBeInTheDocument();
 });
@@ -0,0 +1,33 @@
+import React from 'react';
+
+const SEVERITY_COLORS = { high: '#dc3545', medium: '#ffc107', low: '#28a745' };
+
+// The redacted image with detection boxes drawn over it in SVG, so the
+// boxes stay data and never end up in the uploaded pixels. `width` and
+// `height` are the image's own size, which the boxes are measured in.
+function DetectionOverlay({ src, width, height, detections }) {
+  return (
+    <div className="detection-overlay">
+      <img src={src} alt="Processed" />
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+        {detections.map((detection, idx) => {
+          const [x, y, boxWidth, boxHeight] = detection.bbox;
+          const color = SEVERITY_COLORS[detection.severity] || SEVERITY_COLORS.low;
+          const label = `${detection.type.toUpperCase()} (${detection.confidence}%)`;
+          // Labels scale with the image so they read the same at any size
+          const fontSize = Math.max(12, Math.round(width / 50));
+          const labelY = y > fontSize * 2 ? y - fontSize * 0.5 : y + fontSize * 1.2;
+
+          return (
+            <g key={idx}>
+              <rect x={x} y={y} width={boxWidth} height={boxHeight} fill="none" stroke={color} strokeWidth={Math.max(2, width / 250)} />
+              <text x={x + 4} y={labelY} fill={color} fontSize={fontSize} fontWeight="bold">{label}</text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+export default DetectionOverlay;
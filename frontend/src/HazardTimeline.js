@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import { api, apiErrorMessage } from './api';
+
+// One line per event from /api/hazards/:id/history
+function describeEvent({ type, details }) {
+  switch (type) {
+    case 'reported':
+      return details.source ? `📥 Imported from ${details.source}` : '🚨 Reported';
+    case 'merged':
+      return `🔗 Duplicate report merged (${details.reportCount || '?'} reports)`;
+    case 'confirmation':
+      return '👍 Confirmed still there';
+    case 'dispute':
+      return `👎 Disputed${details.reason ? `: ${details.reason}` : ''}`;
+    case 'status_changed':
+      return `🔁 ${details.from} → ${details.to}`;
+    case 'edited':
+      return `✏️ Edited ${Object.keys(details.after || {}).join(', ')}`;
+    case 'media_attached':
+      if (details.resolution) return '📸 Resolution photo added';
+      return details.redaction
+        ? `📷 Photo added (${details.redaction.faces} face(s), ${details.redaction.plates} plate(s) blurred)`
+        : '📷 Photo added';
+    case 'media_hidden':
+      return '🙈 Images hidden by a moderator';
+    case 'deleted':
+      return '🗑️ Deleted';
+    default:
+      return type;
+  }
+}
+
+// Timeline of everything that happened to a hazard, for the map popup.
+// Popups only render their content while open, so this loads on open.
+function HazardTimeline({ hazardId }) {
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    api.get(`/api/hazards/${hazardId}/history`)
+      .then((response) => {
+        if (!cancelled) setEvents(response.data.events);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(apiErrorMessage(err, 'Could not load history'));
+      });
+    return () => { cancelled = true; };
+  }, [hazardId]);
+
+  if (error) return <p className="timeline-empty">{error}</p>;
+  if (!events) return <p className="timeline-empty">Loading history...</p>;
+
+  return (
+    <ol className="hazard-timeline">
+      {events.map((event) => (
+        <li key={event.id}>
+          <span>{describeEvent(event)}</span>
+          <small>
+            {new Date(event.at).toLocaleString()}
+            {event.actor && ` · ${event.actor}`}
+          </small>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export default HazardTimeline;
@@ -1,85 +1,111 @@
-import * as cocoSsd from '@tensorflow-models/coco-ssd';
-import * as blazeface from '@tensorflow-models/blazeface';
-import * as tf from '@tensorflow/tfjs';
+// Models live in detection.worker.js so inference never blocks the page.
+// Every request can report progress and be cancelled with an AbortSignal.
 
-let objectModel = null;
-let faceModel = null;
-let isLoadingModels = false;
+let worker = null;
+let nextRequestId = 1;
+const pendingRequests = new Map();
 
-const HAZARD_MAP = {
-  'car': 'accident',
-  'truck': 'accident', 
-  'bus': 'accident',
-  'motorcycle': 'accident',
-  'bicycle': 'accident',
-  'bottle': 'debris',
-  'cup': 'debris',
-  'backpack': 'debris',
-  'handbag': 'debris',
-  'suitcase': 'debris',
-  'umbrella': 'debris',
-  'chair': 'debris',
-  'bench': 'debris',
-  'book': 'debris',
-  'laptop': 'debris',
-  'cell phone': 'debris',
-  'sports ball': 'debris',
-  'person': 'accident',
-  'dog': 'animal',
-  'cat': 'animal',
-  'horse': 'animal',
-  'sheep': 'animal',
-  'cow': 'animal',
-  'bird': 'animal',
-};
+let modelsLoaded = false;
+let loadingModels = null;
 
-export async function loadModels() {
-  if (objectModel && faceModel) {
+function abortError() {
+  const error = new Error('Cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./detection.worker.js', import.meta.url));
+  worker.onmessage = ({ data }) => {
+    const request = pendingRequests.get(data.id);
+    if (!request) return;
+
+    if (data.type === 'progress') {
+      if (request.onProgress) request.onProgress(data.progress);
+      return;
+    }
+
+    request.settle();
+    if (data.type === 'result') {
+      request.resolve(data.result);
+    } else {
+      request.reject(Object.assign(new Error(data.error.message), { name: data.error.name }));
+    }
+  };
+  // The worker itself crashed: fail everything that was waiting on it
+  worker.onerror = (event) => {
+    console.error('❌ Detection worker error:', event.message);
+    pendingRequests.forEach(request => request.reject(new Error(event.message || 'Detection worker failed')));
+    pendingRequests.clear();
+    worker.terminate();
+    worker = null;
+    modelsLoaded = false;
+  };
+  return worker;
+}
+
+// Cancelling rejects straight away with an AbortError; the worker stops the
+// request at its next checkpoint and its late reply is ignored
+function request(type, payload = {}, { transfer = [], onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const id = nextRequestId++;
+    const onAbort = () => {
+      pendingRequests.get(id).settle();
+      getWorker().postMessage({ type: 'cancel', target: id });
+      reject(abortError());
+    };
+    const settle = () => {
+      pendingRequests.delete(id);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    pendingRequests.set(id, { resolve, reject, onProgress, settle });
+    if (signal) signal.addEventListener('abort', onAbort);
+    getWorker().postMessage({ id, type, ...payload }, transfer);
+  });
+}
+
+// onProgress gets { model, loaded, total } as each model finishes loading
+export function loadModels(onProgress) {
+  if (modelsLoaded) {
     console.log('✅ Models already loaded');
-    return true;
+    return Promise.resolve(true);
   }
-  
-  if (isLoadingModels) {
-    console.log('⏳ Models are loading...');
-    return false;
-  }
-  
-  isLoadingModels = true;
-  console.log('🤖 Loading AI models (Object Detection + Face Detection)...');
-  
-  try {
-    await tf.ready();
-    console.log('✅ TensorFlow.js backend ready:', tf.getBackend());
-    
-    const [objModel, fcModel] = await Promise.all([
-      cocoSsd.load({ base: 'lite_mobilenet_v2' }),
-      blazeface.load()
-    ]);
-    
-    objectModel = objModel;
-    faceModel = fcModel;
-    
-    console.log('✅ COCO-SSD model loaded (80+ objects)');
-    console.log('✅ BlazeFace model loaded (face detection for privacy)');
-    console.log('🔒 Privacy protection active');
-    
-    isLoadingModels = false;
-    return true;
-  } catch (error) {
-    console.error('❌ Error loading models:', error);
-    isLoadingModels = false;
-    return false;
+
+  if (!loadingModels) {
+    console.log('🤖 Loading AI models in the detection worker...');
+    loadingModels = request('load', {}, { onProgress })
+      .then((loaded) => {
+        modelsLoaded = loaded;
+        return loaded;
+      })
+      .catch((error) => {
+        console.error('❌ Error loading models:', error);
+        return false;
+      })
+      .finally(() => {
+        loadingModels = null;
+      });
   }
+  return loadingModels;
 }
 
 export function isModelLoaded() {
-  return objectModel !== null && faceModel !== null;
+  return modelsLoaded;
 }
 
-export async function detectHazards(imageElement) {
+// Resolves to [] when detection fails; rejects only when cancelled
+export async function detectHazards(imageElement, { onProgress, signal } = {}) {
   console.log('🔍 Starting AI hazard detection...');
-  
-  if (!objectModel) {
+
+  if (!modelsLoaded) {
     console.log('⚠️ Model not loaded, loading now...');
     const loaded = await loadModels();
     if (!loaded) {
@@ -89,164 +115,49 @@ export async function detectHazards(imageElement) {
   }
 
   try {
-    console.log('🤖 Running COCO-SSD detection...');
-    const predictions = await objectModel.detect(imageElement, 20);
-    
-    console.log(`✅ Detected ${predictions.length} objects`);
-    predictions.forEach((pred, i) => {
-      console.log(`  ${i + 1}. ${pred.class} (${(pred.score * 100).toFixed(1)}%)`);
-    });
-
-    if (predictions.length === 0) {
-      console.log('⚠️ No objects detected - possible pothole/road damage');
-      return [{
-        type: 'pothole',
-        confidence: 75,
-        severity: 'medium',
-        bbox: [
-          imageElement.width * 0.25,
-          imageElement.height * 0.25,
-          imageElement.width * 0.5,
-          imageElement.height * 0.5
-        ],
-        class: 'Road Irregularity',
-        score: 0.75
-      }];
-    }
-
-    const hazards = predictions.map(pred => {
-      const label = pred.class.toLowerCase();
-      const type = HAZARD_MAP[label] || 'debris';
-      const confidence = Math.round(pred.score * 100);
-      
-      let severity = 'low';
-      if (confidence > 80) severity = 'high';
-      else if (confidence > 60) severity = 'medium';
-      
-      if ((type === 'accident' || type === 'animal') && confidence > 50) {
-        severity = 'high';
-      }
-
-      return {
-        type,
-        confidence,
-        severity,
-        bbox: pred.bbox,
-        class: pred.class,
-        score: pred.score
-      };
-    });
-
-    console.log(`✅ Mapped to ${hazards.length} hazards`);
-    return hazards;
-    
+    const image = await createImageBitmap(imageElement);
+    return await request('detect', { image }, { transfer: [image], onProgress, signal });
   } catch (error) {
+    if (error.name === 'AbortError') throw error;
     console.error('❌ Detection error:', error);
     return [];
   }
 }
 
-export async function applyPrivacyProtection(canvas, imageElement) {
-  if (!faceModel) {
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Blurs faces and license plates in an image element or an image file.
+// Resolves to { image, regions, models, version, width, height } with the
+// redacted image as a data URL, what was blurred and by which models, or
+// to null if redaction failed. `verify` adds a `preview` with the regions
+// outlined.
+export async function applyPrivacyProtection(image, { verify = false, onProgress, signal } = {}) {
+  if (!modelsLoaded) {
     await loadModels();
   }
 
   try {
-    const ctx = canvas.getContext('2d');
-    canvas.width = imageElement.naturalWidth || imageElement.width;
-    canvas.height = imageElement.naturalHeight || imageElement.height;
-    
-    ctx.drawImage(imageElement, 0, 0, canvas.width, canvas.height);
-
-    console.log('🔒 Applying privacy protection...');
-
-    const faces = await faceModel.estimateFaces(canvas, false);
-    console.log(`🔒 Detected ${faces.length} faces to blur`);
-
-    faces.forEach((face, idx) => {
-      const start = face.topLeft;
-      const end = face.bottomRight;
-      const x = start[0];
-      const y = start[1];
-      const width = end[0] - start[0];
-      const height = end[1] - start[1];
-
-      const blurRadius = 20;
-      ctx.filter = `blur(${blurRadius}px)`;
-      ctx.drawImage(canvas, x, y, width, height, x, y, width, height);
-      ctx.filter = 'none';
-      
-      console.log(`  ✅ Blurred face ${idx + 1}`);
-    });
-
-    await blurLicensePlates(ctx, canvas);
-
-    console.log('✅ Privacy protection applied');
-    return canvas.toDataURL('image/jpeg', 0.95);
-    
+    const bitmap = await createImageBitmap(image);
+    const result = await request('redact', { image: bitmap, verify }, { transfer: [bitmap], onProgress, signal });
+    return {
+      ...result,
+      image: await blobToDataUrl(result.image),
+      preview: result.preview ? await blobToDataUrl(result.preview) : null
+    };
   } catch (error) {
+    if (error.name === 'AbortError') throw error;
     console.error('❌ Privacy protection error:', error);
     return null;
   }
 }
 
-async function blurLicensePlates(ctx, canvas) {
-  console.log('🔒 Scanning for license plates...');
-  
-  const width = canvas.width;
-  const height = canvas.height;
-  
-  const plateRegions = [
-    { x: width * 0.1, y: height * 0.6, w: width * 0.3, h: height * 0.15 },
-    { x: width * 0.6, y: height * 0.6, w: width * 0.3, h: height * 0.15 },
-  ];
-  
-  plateRegions.forEach((region) => {
-    ctx.filter = 'blur(25px)';
-    ctx.drawImage(
-      canvas,
-      region.x, region.y, region.w, region.h,
-      region.x, region.y, region.w, region.h
-    );
-    ctx.filter = 'none';
-  });
-  
-  console.log('✅ Potential license plate regions blurred');
-}
-
-export function drawDetections(canvas, imageElement, detections) {
-  const ctx = canvas.getContext('2d');
-  
-  canvas.width = imageElement.naturalWidth || imageElement.width;
-  canvas.height = imageElement.naturalHeight || imageElement.height;
-
-  ctx.drawImage(imageElement, 0, 0, canvas.width, canvas.height);
-
-  detections.forEach((detection) => {
-    const [x, y, width, height] = detection.bbox;
-
-    let color = '#28a745';
-    if (detection.severity === 'high') color = '#dc3545';
-    else if (detection.severity === 'medium') color = '#ffc107';
-
-    ctx.strokeStyle = color;
-    ctx.lineWidth = 4;
-    ctx.strokeRect(x, y, width, height);
-
-    const label = `${detection.type.toUpperCase()} (${detection.confidence}%)`;
-    ctx.font = 'bold 16px Arial';
-    const textWidth = ctx.measureText(label).width;
-
-    ctx.fillStyle = color;
-    ctx.fillRect(x, y > 30 ? y - 30 : y, textWidth + 20, 30);
-
-    ctx.fillStyle = 'white';
-    ctx.fillText(label, x + 10, y > 30 ? y - 8 : y + 20);
-  });
-
-  return canvas.toDataURL('image/jpeg', 0.95);
-}
-
 // VIDEO PROCESSING FUNCTIONS
 export async function extractVideoFrame(videoElement, timeInSeconds = 0) {
   return new Promise((resolve, reject) => {
@@ -269,39 +180,42 @@ export async function extractVideoFrame(videoElement, timeInSeconds = 0) {
   });
 }
 
-export async function analyzeVideoFrames(videoElement, intervalSeconds = 2) {
+// onProgress gets { time, duration, analyzed, total, frames } after each
+// frame, so results can be shown while the rest of the video is analysed.
+// Rejects with an AbortError when the signal fires.
+export async function analyzeVideoFrames(videoElement, intervalSeconds = 2, { onProgress, signal } = {}) {
   const frames = [];
   const duration = videoElement.duration;
+  const total = Math.ceil(duration / intervalSeconds);
   
   console.log(`🎥 Analyzing video: ${duration}s duration`);
   
+  let analyzed = 0;
   for (let time = 0; time < duration; time += intervalSeconds) {
+    if (signal && signal.aborted) throw abortError();
+
     try {
       const frameBlob = await extractVideoFrame(videoElement, time);
-      const frameUrl = URL.createObjectURL(frameBlob);
-      
-      const img = new Image();
-      img.src = frameUrl;
-      
-      await new Promise((resolve) => {
-        img.onload = resolve;
-      });
-      
-      const hazards = await detectHazards(img);
+      const image = await createImageBitmap(frameBlob);
+      const hazards = await request('detect', { image }, { transfer: [image], signal });
       
       if (hazards.length > 0) {
         frames.push({
           time,
           hazards,
-          frameUrl
+          frameUrl: URL.createObjectURL(frameBlob)
         });
         console.log(`  ⚠️ Frame at ${time}s: Found ${hazards.length} hazards`);
       }
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.error(`Error analyzing frame at ${time}s:`, error);
     }
+
+    analyzed++;
+    if (onProgress) onProgress({ time, duration, analyzed, total, frames: [...frames] });
   }
   
   console.log(`✅ Video analysis complete: ${frames.length} frames with hazards`);
   return frames;
-}
\ No newline at end of file
+}
@@ -0,0 +1,105 @@
+import axios from 'axios';
+
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const DEVICE_STORAGE_KEY = 'vw-device';
+let pendingRegistration = null;
+
+export function getStoredDevice() {
+  try {
+    return JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+export function clearStoredDevice() {
+  localStorage.removeItem(DEVICE_STORAGE_KEY);
+}
+
+// Register this browser once and reuse its signed token afterwards
+export async function getDeviceToken() {
+  const stored = getStoredDevice();
+  if (stored && stored.token) {
+    return stored.token;
+  }
+
+  if (!pendingRegistration) {
+    pendingRegistration = axios
+      .post(`${API_URL}/api/devices/register`, { platform: navigator.userAgent.slice(0, 100) })
+      .then((res) => {
+        const device = { deviceId: res.data.deviceId, token: res.data.token };
+        localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(device));
+        console.log('📱 Device registered:', device.deviceId);
+        return device;
+      })
+      .finally(() => {
+        pendingRegistration = null;
+      });
+  }
+
+  const device = await pendingRegistration;
+  return device.token;
+}
+
+// Axios client that signs every request with the device token
+export const api = axios.create({ baseURL: API_URL });
+
+api.interceptors.request.use(async (config) => {
+  const token = await getDeviceToken();
+  config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// The server forgot us (e.g. a new token secret): register again and retry once
+api.interceptors.response.use(null, (error) => {
+  const { config, response } = error;
+  if (response?.status === 401 && response.data?.error?.code === 'INVALID_TOKEN' && !config.retriedAuth) {
+    clearStoredDevice();
+    config.retriedAuth = true;
+    return api(config);
+  }
+  return Promise.reject(error);
+});
+
+// The backend answers every failure with { error: { code, message, field } }.
+// Pull out a message a user can act on, falling back for network errors.
+export function apiErrorMessage(error, fallback) {
+  const apiError = error && error.response && error.response.data && error.response.data.error;
+  if (apiError && apiError.message) {
+    return apiError.message;
+  }
+  return fallback;
+}
+
+// Admin console credentials: the ADMIN_API_KEY plus a name for the audit
+// log, kept for this browser tab only
+const ADMIN_STORAGE_KEY = 'vw-admin';
+
+export function getAdminCredentials() {
+  try {
+    return JSON.parse(sessionStorage.getItem(ADMIN_STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+export function setAdminCredentials(credentials) {
+  if (credentials) {
+    sessionStorage.setItem(ADMIN_STORAGE_KEY, JSON.stringify(credentials));
+  } else {
+    sessionStorage.removeItem(ADMIN_STORAGE_KEY);
+  }
+}
+
+// Axios client for /api/admin, signed with the stored admin key
+export const adminApi = axios.create({ baseURL: `${API_URL}/api/admin` });
+
+adminApi.interceptors.request.use((config) => {
+  const credentials = getAdminCredentials() || {};
+  config.headers['X-Admin-Key'] = credentials.key || '';
+  if (credentials.user) {
+    config.headers['X-Admin-User'] = credentials.user;
+  }
+  return config;
+});
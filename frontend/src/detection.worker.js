@@ -0,0 +1,241 @@
+/* eslint-env worker */
+import * as blazeface from '@tensorflow-models/blazeface';
+import { version as blazefaceVersion } from '@tensorflow-models/blazeface/dist/version';
+import * as tf from '@tensorflow/tfjs';
+import { createRoadDamageDetector, createCocoSsdDetector, ROAD_DAMAGE_MODEL_URL } from './detectors';
+import { applyHazardRules, DEFAULT_RULES } from './hazardRules';
+import { findPlates, PLATE_LOCALIZER_VERSION } from './plateLocalizer';
+
+// Model loading and inference, off the main thread. aiDetection.js talks to
+// this worker with { id, type, ...payload } messages and gets back
+// { id, type: 'progress' | 'result' | 'error' } replies for each request.
+
+// Detectors run in this order and their hazards are listed in it too, so
+// the road-damage model's findings come before COCO-SSD's
+const detectors = [
+  createRoadDamageDetector(),
+  createCocoSsdDetector()
+];
+
+let faceModel = null;
+
+// Ids of requests still running, and those of them the page cancelled
+const running = new Set();
+const cancelled = new Set();
+
+function loadedDetectors() {
+  return detectors.filter(detector => detector.isLoaded());
+}
+
+function isModelLoaded() {
+  return loadedDetectors().length > 0 && faceModel !== null;
+}
+
+function abortError() {
+  const error = new Error('Cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Takes ownership of the bitmap the page transferred
+function toCanvas(bitmap) {
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return { canvas, ctx, imageData: ctx.getImageData(0, 0, canvas.width, canvas.height) };
+}
+
+async function load(payload, job) {
+  if (isModelLoaded()) {
+    console.log('✅ Models already loaded');
+    return true;
+  }
+
+  console.log('🤖 Loading AI models (Road Damage + Object Detection + Face Detection)...');
+  await tf.ready();
+  console.log('✅ TensorFlow.js backend ready:', tf.getBackend());
+
+  const total = detectors.length + 1;
+  let loaded = 0;
+  const loadedOne = (model) => job.progress({ stage: 'loading', model, loaded: ++loaded, total });
+
+  // A detector that fails to load is skipped; the others still run
+  const [fcModel] = await Promise.all([
+    blazeface.load().then((model) => {
+      loadedOne('blazeface');
+      return model;
+    }),
+    ...detectors.map(detector => detector.load()
+      .then(() => console.log(`✅ ${detector.name} detector loaded (${detector.version()})`))
+      .catch(error => console.warn(`⚠️ ${detector.name} detector unavailable:`, error.message))
+      .then(() => loadedOne(detector.name)))
+  ]);
+
+  faceModel = fcModel;
+
+  if (!detectors[0].isLoaded()) {
+    console.warn(`⚠️ No road-damage model at ${ROAD_DAMAGE_MODEL_URL} - potholes and cracks won't be detected`);
+  }
+  console.log('✅ BlazeFace model loaded (face detection for privacy)');
+  console.log('🔒 Privacy protection active');
+
+  return isModelLoaded();
+}
+
+async function detect({ image }, job) {
+  const { imageData } = toCanvas(image);
+  const frame = { width: imageData.width, height: imageData.height };
+  const active = loadedDetectors();
+
+  const hazards = [];
+  for (const [index, detector] of active.entries()) {
+    job.checkCancelled();
+    job.progress({ stage: 'detecting', detector: detector.name, step: index + 1, steps: active.length });
+
+    const predictions = await detector.detect(imageData);
+    console.log(`✅ ${detector.name}: ${predictions.length} objects`);
+    predictions.forEach((pred, i) => {
+      console.log(`  ${i + 1}. ${pred.class} (${(pred.score * 100).toFixed(1)}%)`);
+    });
+
+    applyHazardRules(predictions, frame, DEFAULT_RULES)
+      .forEach(hazard => hazards.push({ ...hazard, detector: detector.name }));
+  }
+
+  console.log(`✅ Mapped to ${hazards.length} hazards (rules v${DEFAULT_RULES.version})`);
+  return hazards;
+}
+
+// Blurs where the canvas supports filters, pixelates where it doesn't, so a
+// region is never left as it was
+function blurRegion(ctx, canvas, x, y, width, height, radius) {
+  if (width < 1 || height < 1) return;
+
+  if ('filter' in ctx) {
+    ctx.filter = `blur(${radius}px)`;
+    ctx.drawImage(canvas, x, y, width, height, x, y, width, height);
+    ctx.filter = 'none';
+    return;
+  }
+
+  const block = Math.max(4, Math.round(radius / 2));
+  const small = new OffscreenCanvas(Math.max(1, Math.round(width / block)), Math.max(1, Math.round(height / block)));
+  small.getContext('2d').drawImage(canvas, x, y, width, height, 0, 0, small.width, small.height);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(small, 0, 0, small.width, small.height, x, y, width, height);
+  ctx.imageSmoothingEnabled = true;
+}
+
+// Vehicles are looked for with a lower bar than hazards: a missed car is a
+// plate left readable
+const VEHICLE_MIN_SCORE = 0.3;
+
+// Version of the redaction step as a whole, recorded with each upload
+const REDACTION_VERSION = '1.0.0';
+
+const REGION_COLORS = { face: '#ff00ff', plate: '#00d4ff' };
+
+// Verification mode: outline and label every blurred region
+function outlineRegions(ctx, regions) {
+  regions.forEach(({ kind, bbox, method }) => {
+    const [x, y, width, height] = bbox;
+    ctx.strokeStyle = REGION_COLORS[kind];
+    ctx.lineWidth = 3;
+    ctx.strokeRect(x, y, width, height);
+    ctx.font = 'bold 14px Arial';
+    ctx.fillStyle = REGION_COLORS[kind];
+    ctx.fillText(method ? `${kind} (${method})` : kind, x, y > 16 ? y - 4 : y + height + 14);
+  });
+}
+
+// Blurs faces and license plates. Resolves to { image, regions, models,
+// version, width, height }: the redacted JPEG blob, every region blurred as
+// { kind: 'face' | 'plate', bbox, score, method?, vehicle? } and the models
+// that found them. With `verify` the result also has a `preview` with those
+// regions outlined.
+async function redact({ image, verify = false }, job) {
+  const { canvas, ctx, imageData } = toCanvas(image);
+
+  console.log('🔒 Applying privacy protection...');
+  job.progress({ stage: 'redacting', step: 1, steps: 2 });
+
+  const faces = await faceModel.estimateFaces(imageData, false);
+  console.log(`🔒 Detected ${faces.length} faces to blur`);
+  job.checkCancelled();
+
+  console.log('🔒 Scanning for license plates...');
+  job.progress({ stage: 'redacting', step: 2, steps: 2 });
+
+  const vehicleDetector = detectors.find(detector => detector.name === 'coco-ssd');
+  if (!vehicleDetector.isLoaded()) {
+    throw new Error('License plates cannot be found without the COCO-SSD vehicle detector');
+  }
+  const vehicles = await vehicleDetector.detect(imageData, { minScore: VEHICLE_MIN_SCORE });
+  const plates = findPlates(imageData, vehicles);
+  console.log(`🔒 Located ${plates.length} license plates`);
+  job.checkCancelled();
+
+  const regions = [
+    ...faces.map(({ topLeft: [x, y], bottomRight: [endX, endY], probability }) => ({
+      kind: 'face',
+      bbox: [x, y, endX - x, endY - y].map(Math.round),
+      score: Math.round(probability[0] * 100) / 100
+    })),
+    ...plates.map(plate => ({ kind: 'plate', ...plate }))
+  ];
+
+  regions.forEach(({ kind, bbox: [x, y, width, height] }) => {
+    blurRegion(ctx, canvas, x, y, width, height, kind === 'face' ? 20 : 25);
+  });
+
+  console.log('✅ Privacy protection applied');
+  const result = {
+    image: await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.95 }),
+    regions,
+    models: {
+      faces: `blazeface@${blazefaceVersion}`,
+      plates: `${vehicleDetector.version()}+plate-localizer@${PLATE_LOCALIZER_VERSION}`
+    },
+    version: REDACTION_VERSION,
+    width: canvas.width,
+    height: canvas.height
+  };
+  if (!verify) return result;
+
+  outlineRegions(ctx, regions);
+  return { ...result, preview: await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.95 }) };
+}
+
+const handlers = { load, detect, redact };
+
+// onmessage and postMessage are the worker scope's own
+onmessage = async ({ data }) => {
+  const { id, type, ...payload } = data;
+
+  if (type === 'cancel') {
+    if (running.has(payload.target)) cancelled.add(payload.target);
+    return;
+  }
+
+  const job = {
+    progress: progress => postMessage({ id, type: 'progress', progress }),
+    checkCancelled: () => {
+      if (cancelled.has(id)) throw abortError();
+    }
+  };
+
+  running.add(id);
+  try {
+    if (!handlers[type]) throw new Error(`Unknown request: ${type}`);
+    if (type !== 'load' && !isModelLoaded()) throw new Error('AI models are not loaded');
+
+    const result = await handlers[type](payload, job);
+    postMessage({ id, type: 'result', result });
+  } catch (error) {
+    postMessage({ id, type: 'error', error: { name: error.name, message: error.message } });
+  } finally {
+    running.delete(id);
+    cancelled.delete(id);
+  }
+};
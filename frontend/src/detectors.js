@@ -0,0 +1,110 @@
+import * as cocoSsd from '@tensorflow-models/coco-ssd';
+import * as tf from '@tensorflow/tfjs';
+
+// Every detector has the same shape: load() once, then detect(image)
+// resolves to raw predictions { class, score, bbox: [x, y, width, height] }
+// in image pixels. Mapping predictions to hazards happens in aiDetection.js.
+
+export const ROAD_DAMAGE_CLASSES = ['pothole', 'crack', 'rutting', 'manhole', 'waterlogging'];
+
+export const ROAD_DAMAGE_MODEL_URL = process.env.REACT_APP_ROAD_DAMAGE_MODEL_URL ||
+  `${process.env.PUBLIC_URL}/models/road-damage`;
+
+// Outputs of a model exported with the TensorFlow Object Detection API:
+// normalised [ymin, xmin, ymax, xmax] boxes, scores and 1-based class ids
+const DEFAULT_METADATA = {
+  version: 'unknown',
+  labels: ROAD_DAMAGE_CLASSES,
+  labelOffset: 1,
+  inputSize: null,
+  outputs: {
+    boxes: 'detection_boxes',
+    scores: 'detection_scores',
+    classes: 'detection_classes'
+  }
+};
+
+// Custom TF.js graph model trained on road damage. The model directory
+// holds model.json with its weight shards, and optionally metadata.json to
+// override DEFAULT_METADATA (labels, input size, output node names, version).
+export function createRoadDamageDetector({ modelUrl = ROAD_DAMAGE_MODEL_URL, minScore = 0.3, maxDetections = 20 } = {}) {
+  let model = null;
+  let metadata = DEFAULT_METADATA;
+
+  async function load() {
+    if (model) return;
+
+    // SPA hosts answer a missing file with index.html and a 200, so anything
+    // that doesn't parse as JSON means there is no metadata
+    const response = await fetch(`${modelUrl}/metadata.json`).catch(() => null);
+    const custom = response && response.ok ? await response.json().catch(() => null) : null;
+    if (custom) {
+      metadata = { ...DEFAULT_METADATA, ...custom, outputs: { ...DEFAULT_METADATA.outputs, ...custom.outputs } };
+    } else if (response && response.ok) {
+      console.warn(`⚠️ ${modelUrl}/metadata.json is not JSON, using the default metadata`);
+    }
+
+    model = await tf.loadGraphModel(`${modelUrl}/model.json`);
+  }
+
+  async function detect(image) {
+    let imageWidth = 0;
+    let imageHeight = 0;
+    const input = tf.tidy(() => {
+      let pixels = tf.browser.fromPixels(image);
+      [imageHeight, imageWidth] = pixels.shape;
+      if (metadata.inputSize) {
+        pixels = tf.image.resizeBilinear(pixels, [metadata.inputSize, metadata.inputSize]);
+      }
+      return pixels.toInt().expandDims(0);
+    });
+
+    const { boxes: boxesNode, scores: scoresNode, classes: classesNode } = metadata.outputs;
+    const outputs = await model.executeAsync(input, [boxesNode, scoresNode, classesNode]);
+    const [boxes, scores, classes] = await Promise.all(outputs.map(output => output.array()));
+    input.dispose();
+    outputs.forEach(output => output.dispose());
+
+    // Boxes are normalised, so they scale straight back to the source image
+    const predictions = [];
+    scores[0].forEach((score, i) => {
+      const label = metadata.labels[Math.round(classes[0][i]) - metadata.labelOffset];
+      if (score < minScore || !label) return;
+
+      const [ymin, xmin, ymax, xmax] = boxes[0][i];
+      predictions.push({
+        class: label,
+        score,
+        bbox: [xmin * imageWidth, ymin * imageHeight, (xmax - xmin) * imageWidth, (ymax - ymin) * imageHeight]
+      });
+    });
+
+    return predictions.sort((a, b) => b.score - a.score).slice(0, maxDetections);
+  }
+
+  return {
+    name: 'road-damage',
+    load,
+    detect,
+    isLoaded: () => model !== null,
+    version: () => metadata.version
+  };
+}
+
+// Pretrained COCO-SSD: finds vehicles, people, animals and loose objects,
+// but knows nothing about the road surface itself
+export function createCocoSsdDetector({ base = 'lite_mobilenet_v2', maxDetections = 20 } = {}) {
+  let model = null;
+
+  async function load() {
+    if (!model) model = await cocoSsd.load({ base });
+  }
+
+  return {
+    name: 'coco-ssd',
+    load,
+    detect: (image, { minScore = 0.5 } = {}) => model.detect(image, maxDetections, minScore),
+    isLoaded: () => model !== null,
+    version: () => `coco-ssd@${cocoSsd.version}/${base}`
+  };
+}
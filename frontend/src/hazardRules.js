@@ -0,0 +1,62 @@
+import defaultRules from './detectionRules.json';
+
+// Turns raw detector predictions into hazards using a rule set like
+// detectionRules.json. Pure functions of the predictions and the frame
+// size, so rules can be tried out without loading any model.
+
+export const DEFAULT_RULES = defaultRules;
+
+// Where a box touches the road: the middle of its bottom edge, as a
+// fraction of the frame
+function groundPoint([x, y, width, height], frame) {
+  return [(x + width / 2) / frame.width, (y + height) / frame.height];
+}
+
+function inRegion(bbox, region, frame) {
+  const [px, py] = groundPoint(bbox, frame);
+  return px >= region.x[0] && px <= region.x[1] && py >= region.y[0] && py <= region.y[1];
+}
+
+function matches(when, hazard, frame, rules) {
+  const [, , width, height] = hazard.bbox;
+  if (when.types && !when.types.includes(hazard.type)) return false;
+  if (when.classes && !when.classes.includes(hazard.class.toLowerCase())) return false;
+  if (when.minConfidence != null && hazard.confidence < when.minConfidence) return false;
+  if (when.minArea != null && (width * height) / (frame.width * frame.height) < when.minArea) return false;
+  if (when.region && !inRegion(hazard.bbox, rules.regions[when.region], frame)) return false;
+  return true;
+}
+
+// Severity of the first rule whose conditions all hold
+export function gradeSeverity(hazard, frame, rules = DEFAULT_RULES) {
+  const rule = rules.severity.find(({ when }) => matches(when, hazard, frame, rules));
+  return rule ? rule.severity : rules.defaultSeverity;
+}
+
+// The hazard for one prediction, or null if its class is ignored, unknown
+// or scored below the class minimum. `frame` is { width, height } in the
+// same pixels as the prediction's bbox.
+export function classifyPrediction(prediction, frame, rules = DEFAULT_RULES) {
+  const label = prediction.class.toLowerCase();
+  const mapping = rules.classes[label];
+  if (!mapping || rules.ignore.includes(label)) return null;
+
+  const minScore = mapping.minScore != null ? mapping.minScore : rules.defaultMinScore;
+  if (prediction.score < minScore) return null;
+
+  const hazard = {
+    type: mapping.type,
+    confidence: Math.round(prediction.score * 100),
+    bbox: prediction.bbox,
+    class: prediction.class,
+    score: prediction.score,
+    rulesVersion: rules.version
+  };
+  return { ...hazard, severity: gradeSeverity(hazard, frame, rules) };
+}
+
+export function applyHazardRules(predictions, frame, rules = DEFAULT_RULES) {
+  return predictions
+    .map(prediction => classifyPrediction(prediction, frame, rules))
+    .filter(Boolean);
+}
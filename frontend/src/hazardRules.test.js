@@ -0,0 +1,85 @@
+import { applyHazardRules, classifyPrediction, gradeSeverity, DEFAULT_RULES } from './hazardRules';
+
+const frame = { width: 1000, height: 1000 };
+// Ground points (bottom middle) inside and outside the lane region
+const IN_LANE = [450, 700, 100, 100];
+const OFF_ROAD = [20, 20, 60, 60];
+const LARGE_IN_LANE = [300, 600, 400, 300];
+
+const prediction = (cls, score, bbox = OFF_ROAD) => ({ class: cls, score, bbox });
+
+describe('ignore list', () => {
+  test('a parked car or a pedestrian is not a hazard', () => {
+    expect(classifyPrediction(prediction('car', 0.99, IN_LANE), frame)).toBeNull();
+    expect(classifyPrediction(prediction('person', 0.9, IN_LANE), frame)).toBeNull();
+  });
+
+  test('classes the rules do not list are dropped', () => {
+    expect(classifyPrediction(prediction('kite', 0.9), frame)).toBeNull();
+  });
+
+  test('ignored classes are dropped from a batch', () => {
+    const hazards = applyHazardRules([prediction('car', 0.9), prediction('bottle', 0.7), prediction('truck', 0.8)], frame);
+    expect(hazards.map(hazard => hazard.class)).toEqual(['bottle']);
+  });
+});
+
+describe('minimum scores', () => {
+  test('each class has its own minimum', () => {
+    expect(classifyPrediction(prediction('pothole', 0.41), frame)).not.toBeNull();
+    expect(classifyPrediction(prediction('manhole', 0.55), frame)).toBeNull();
+    expect(classifyPrediction(prediction('bird', 0.55), frame)).toBeNull();
+    expect(classifyPrediction(prediction('bird', 0.65), frame)).not.toBeNull();
+  });
+
+  test('classes without one use the default', () => {
+    expect(classifyPrediction(prediction('bottle', 0.49), frame)).toBeNull();
+    expect(classifyPrediction(prediction('bottle', 0.5), frame)).not.toBeNull();
+  });
+
+  test('labels map to hazard types and keep the rules version', () => {
+    expect(classifyPrediction(prediction('Crack', 0.6), frame)).toMatchObject({
+      type: 'pothole',
+      class: 'Crack',
+      confidence: 60,
+      rulesVersion: DEFAULT_RULES.version
+    });
+  });
+});
+
+describe('severity', () => {
+  test('an animal in the lane is high, elsewhere medium', () => {
+    expect(classifyPrediction(prediction('dog', 0.55, IN_LANE), frame).severity).toBe('high');
+    expect(classifyPrediction(prediction('dog', 0.55, OFF_ROAD), frame).severity).toBe('medium');
+  });
+
+  test('large road damage or debris in the lane is high, small is medium', () => {
+    expect(classifyPrediction(prediction('pothole', 0.45, LARGE_IN_LANE), frame).severity).toBe('high');
+    expect(classifyPrediction(prediction('pothole', 0.45, IN_LANE), frame).severity).toBe('medium');
+    expect(classifyPrediction(prediction('bottle', 0.52, LARGE_IN_LANE), frame).severity).toBe('high');
+  });
+
+  test('off the road it comes down to confidence', () => {
+    expect(classifyPrediction(prediction('pothole', 0.9), frame).severity).toBe('high');
+    expect(classifyPrediction(prediction('pothole', 0.7), frame).severity).toBe('medium');
+    expect(classifyPrediction(prediction('bottle', 0.52), frame).severity).toBe('low');
+  });
+
+  test('regions are fractions of the frame', () => {
+    const hazard = { type: 'debris', class: 'bottle', confidence: 52, bbox: [45, 70, 10, 10] };
+    expect(gradeSeverity(hazard, { width: 100, height: 100 })).toBe('medium');
+    expect(gradeSeverity(hazard, { width: 1000, height: 1000 })).toBe('low');
+  });
+
+  test('the first matching rule wins', () => {
+    const rules = {
+      ...DEFAULT_RULES,
+      severity: [
+        { when: { types: ['debris'] }, severity: 'low' },
+        { when: { minConfidence: 50 }, severity: 'high' }
+      ]
+    };
+    expect(classifyPrediction(prediction('bottle', 0.95), frame, rules).severity).toBe('low');
+    expect(classifyPrediction(prediction('dog', 0.95), frame, rules).severity).toBe('high');
+  });
+});
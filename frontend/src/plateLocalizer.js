@@ -0,0 +1,140 @@
+// Finds license plates inside the vehicle boxes COCO-SSD returns. Plate
+// characters make a dense band of strong vertical edges, so the search
+// slides plate-shaped windows over the lower part of each vehicle and keeps
+// the one with the most edges. Pure functions of the pixels and the boxes.
+
+// Recorded with every redaction; bump it when the search changes
+export const PLATE_LOCALIZER_VERSION = '1.0.0';
+
+export const VEHICLE_CLASSES = ['car', 'truck', 'bus', 'motorcycle'];
+
+// Narrower vehicles are too far away for their plate to be readable
+const MIN_VEHICLE_WIDTH = 40;
+// Plate width as a fraction of vehicle width, and width:height ratios from
+// square-ish (US, motorcycles) to long (EU)
+const WIDTH_FRACTIONS = [0.18, 0.26, 0.36];
+const ASPECT_RATIOS = [2, 3.2, 4.7];
+// Share of a window's pixels that must be edges for it to count as a plate
+const MIN_EDGE_DENSITY = 0.12;
+const MIN_EDGE_STRENGTH = 40;
+
+function clampBox([x, y, width, height], frame) {
+  const left = Math.max(0, Math.floor(x));
+  const top = Math.max(0, Math.floor(y));
+  const right = Math.min(frame.width, Math.ceil(x + width));
+  const bottom = Math.min(frame.height, Math.ceil(y + height));
+  return [left, top, Math.max(0, right - left), Math.max(0, bottom - top)];
+}
+
+// Integral image of strong vertical edges (horizontal gradient above an
+// adaptive threshold) in the area, so any window's edge count is O(1)
+function edgeIntegral(imageData, [ax, ay, aw, ah]) {
+  const { data, width } = imageData;
+  const gray = new Float32Array(aw * ah);
+  for (let y = 0; y < ah; y++) {
+    for (let x = 0; x < aw; x++) {
+      const i = ((ay + y) * width + ax + x) * 4;
+      gray[y * aw + x] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+  }
+
+  const gradient = new Float32Array(aw * ah);
+  let sum = 0;
+  let sumSquares = 0;
+  for (let y = 0; y < ah; y++) {
+    for (let x = 1; x < aw - 1; x++) {
+      const g = Math.abs(gray[y * aw + x + 1] - gray[y * aw + x - 1]);
+      gradient[y * aw + x] = g;
+      sum += g;
+      sumSquares += g * g;
+    }
+  }
+  const count = aw * ah;
+  const mean = sum / count;
+  const threshold = Math.max(MIN_EDGE_STRENGTH, mean + 1.5 * Math.sqrt(Math.max(0, sumSquares / count - mean * mean)));
+
+  const integral = new Uint32Array((aw + 1) * (ah + 1));
+  for (let y = 0; y < ah; y++) {
+    let row = 0;
+    for (let x = 0; x < aw; x++) {
+      row += gradient[y * aw + x] > threshold ? 1 : 0;
+      integral[(y + 1) * (aw + 1) + x + 1] = integral[y * (aw + 1) + x + 1] + row;
+    }
+  }
+
+  return (x, y, w, h) => integral[(y + h) * (aw + 1) + x + w] - integral[y * (aw + 1) + x + w] -
+    integral[(y + h) * (aw + 1) + x] + integral[y * (aw + 1) + x];
+}
+
+// The plate of one vehicle. When no window has enough edges (plate at an
+// angle, dirty, motion-blurred) it falls back to the lower middle of the
+// vehicle, where plates are mounted, so nothing legible is left behind.
+export function locatePlate(imageData, vehicle) {
+  const frame = { width: imageData.width, height: imageData.height };
+  const [vx, vy, vw, vh] = clampBox(vehicle.bbox, frame);
+  const area = [vx, Math.round(vy + vh * 0.4), vw, Math.round(vh * 0.6)];
+  const [, ay, aw, ah] = area;
+  const edgesIn = edgeIntegral(imageData, area);
+
+  let best = null;
+  WIDTH_FRACTIONS.forEach((fraction) => {
+    ASPECT_RATIOS.forEach((aspect) => {
+      const w = Math.round(aw * fraction);
+      const h = Math.round(w / aspect);
+      if (h < 4 || h > ah) return;
+
+      const stepX = Math.max(2, Math.round(w / 8));
+      const stepY = Math.max(2, Math.round(h / 4));
+      for (let y = 0; y + h <= ah; y += stepY) {
+        for (let x = 0; x + w <= aw; x += stepX) {
+          const density = edgesIn(x, y, w, h) / (w * h);
+          // Plates sit near the middle of the vehicle more often than not
+          const offCentre = Math.abs((x + w / 2) / aw - 0.5);
+          const score = density * (1 - offCentre);
+          if (density >= MIN_EDGE_DENSITY && (!best || score > best.score)) {
+            best = { x, y, w, h, score, density };
+          }
+        }
+      }
+    });
+  });
+
+  const vehicleInfo = { class: vehicle.class, score: vehicle.score, bbox: vehicle.bbox };
+  if (!best) {
+    return {
+      bbox: clampBox([vx + vw * 0.2, vy + vh * 0.55, vw * 0.6, vh * 0.4], frame),
+      method: 'vehicle-zone',
+      score: 0,
+      vehicle: vehicleInfo
+    };
+  }
+
+  // The densest window can sit inside a wider plate: grow it while the
+  // strip next to it still looks like characters
+  const stripW = Math.max(2, Math.round(best.w / 8));
+  while (best.x >= stripW && edgesIn(best.x - stripW, best.y, stripW, best.h) / (stripW * best.h) >= MIN_EDGE_DENSITY) {
+    best.x -= stripW;
+    best.w += stripW;
+  }
+  while (best.x + best.w + stripW <= aw && edgesIn(best.x + best.w, best.y, stripW, best.h) / (stripW * best.h) >= MIN_EDGE_DENSITY) {
+    best.w += stripW;
+  }
+
+  // Pad so the plate's border and the edges of its characters are covered
+  const padX = best.w * 0.15;
+  const padY = best.h * 0.3;
+  return {
+    bbox: clampBox([vx + best.x - padX, ay + best.y - padY, best.w + 2 * padX, best.h + 2 * padY], frame),
+    method: 'edges',
+    score: Math.round(best.density * 100) / 100,
+    vehicle: vehicleInfo
+  };
+}
+
+// Plates of every vehicle close enough for its plate to be read.
+// `imageData` is { data, width, height } as from getImageData().
+export function findPlates(imageData, predictions) {
+  return predictions
+    .filter(pred => VEHICLE_CLASSES.includes(pred.class) && pred.bbox[2] >= MIN_VEHICLE_WIDTH)
+    .map(vehicle => locatePlate(imageData, vehicle));
+}
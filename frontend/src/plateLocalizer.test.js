@@ -0,0 +1,101 @@
+import { findPlates, locatePlate } from './plateLocalizer';
+
+// A flat grey frame, as getImageData() would return it
+const blankFrame = (width, height, level = 120) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = data[i + 1] = data[i + 2] = level;
+    data[i + 3] = 255;
+  }
+  return { data, width, height };
+};
+
+const fill = (frame, [x, y, w, h], level) => {
+  for (let row = y; row < y + h; row++) {
+    for (let col = x; col < x + w; col++) {
+      const i = (row * frame.width + col) * 4;
+      frame.data[i] = frame.data[i + 1] = frame.data[i + 2] = level;
+    }
+  }
+};
+
+// A white plate with black character strokes every few pixels
+const drawPlate = (frame, [x, y, w, h]) => {
+  fill(frame, [x, y, w, h], 255);
+  for (let col = x + 2; col + 2 <= x + w - 2; col += 4) {
+    fill(frame, [col, y + 2, 2, h - 4], 0);
+  }
+};
+
+const contains = ([ox, oy, ow, oh], [ix, iy, iw, ih]) =>
+  ox <= ix && oy <= iy && ox + ow >= ix + iw && oy + oh >= iy + ih;
+
+const car = { class: 'car', score: 0.9, bbox: [20, 20, 160, 120] };
+const PLATE = [80, 110, 40, 12];
+// Where drawPlate puts the character strokes on it
+const CHARACTERS = [82, 112, 36, 8];
+
+describe('locatePlate', () => {
+  test('finds a high-contrast plate in the lower part of the vehicle', () => {
+    const frame = blankFrame(200, 160);
+    drawPlate(frame, PLATE);
+
+    const plate = locatePlate(frame, car);
+
+    expect(plate.method).toBe('edges');
+    expect(plate.score).toBeGreaterThan(0.12);
+    expect(contains(plate.bbox, CHARACTERS)).toBe(true);
+    // Padded around the characters, not the whole lower half of the car
+    const [x, y, width, height] = plate.bbox;
+    expect(x).toBeGreaterThan(PLATE[0] - 15);
+    expect(y).toBeGreaterThanOrEqual(PLATE[1] - 4);
+    expect(width).toBeLessThan(PLATE[2] * 1.6);
+    expect(height).toBeLessThan(PLATE[3] * 1.5);
+    expect(plate.vehicle).toEqual(car);
+  });
+
+  test('falls back to the lower middle of the vehicle when nothing looks like a plate', () => {
+    const frame = blankFrame(200, 160);
+
+    const plate = locatePlate(frame, car);
+
+    expect(plate.method).toBe('vehicle-zone');
+    expect(plate.score).toBe(0);
+    expect(plate.bbox).toEqual([52, 86, 96, 48]);
+  });
+
+  test('ignores strong edges above the bumper line', () => {
+    const frame = blankFrame(200, 160);
+    // Stripes in the windscreen area, above the part that is searched
+    drawPlate(frame, [80, 30, 40, 12]);
+
+    expect(locatePlate(frame, car).method).toBe('vehicle-zone');
+  });
+
+  test('keeps the box inside a vehicle that runs off the frame', () => {
+    const frame = blankFrame(200, 160);
+    drawPlate(frame, [150, 130, 40, 12]);
+
+    const plate = locatePlate(frame, { ...car, bbox: [100, 40, 160, 130] });
+    const [x, y, width, height] = plate.bbox;
+
+    expect(x + width).toBeLessThanOrEqual(200);
+    expect(y + height).toBeLessThanOrEqual(160);
+  });
+});
+
+describe('findPlates', () => {
+  test('looks only at vehicles close enough to read', () => {
+    const frame = blankFrame(200, 160);
+    drawPlate(frame, PLATE);
+
+    const plates = findPlates(frame, [
+      car,
+      { class: 'truck', score: 0.8, bbox: [0, 0, 30, 20] },
+      { class: 'person', score: 0.9, bbox: [20, 20, 160, 120] }
+    ]);
+
+    expect(plates).toHaveLength(1);
+    expect(plates[0].method).toBe('edges');
+  });
+});